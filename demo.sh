@@ -249,7 +249,7 @@ echo "    +212600000004: Active customer (status 3)"
 echo ""
 echo "  🔑 API Key: aslan_internal_key_123"
 echo "  🔒 Test PIN: 1234"
-echo "  📱 Test OTP: 1234"
+echo "  📱 Test OTP: 123456 (+212600000002), others via /__admin/outbox"
 echo ""
 echo "📊 Service Logs:"
 echo "  Chari-stub: tail -f /tmp/chari-stub.log"
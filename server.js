@@ -2,154 +2,1390 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
+const swaggerUiDist = require('swagger-ui-dist');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 
 // Generate UUID v4 using built-in crypto
 function generateUUID() {
   return crypto.randomUUID();
 }
 
+// Read an integer setting from the environment, falling back when it is unset or invalid
+const readIntEnv = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
 const app = express();
 const PORT = process.env.PORT || 4000;
 
+// Optional file-backed persistence - the store is saved to this JSON file after every change
+const DATA_FILE = process.env.CHARI_STUB_DATA_FILE || null;
+// Optional directory for named snapshots - kept in memory when unset
+const SNAPSHOT_DIR = process.env.CHARI_STUB_SNAPSHOT_DIR || null;
+
 // Middleware
 app.use(helmet());
 app.use(cors());
 app.use(morgan('combined'));
 app.use(express.json());
 
+// API Keys & Partners
+// Every API key belongs to a partner, and every partner works on its own isolated store
+// Permissions: read (GET Chari API requests), write (other Chari API requests), admin (the /__admin API),
+// partners (list, create and revoke the API keys of every partner, not only the caller's)
+const API_KEY_PERMISSIONS = ['read', 'write', 'admin', 'partners'];
+// Permissions of a new key when none are given
+const DEFAULT_API_KEY_PERMISSIONS = ['read', 'write', 'admin'];
+const DEFAULT_PARTNER = { partnerId: 1, partner: 'ChariMoney' };
+const API_KEYS_FILE = process.env.CHARI_STUB_API_KEYS_FILE || null;
+
+// Built-in development keys - all of them share the default partner and its store, and can manage other partners' keys
+const DEFAULT_API_KEYS = [
+  'aslan_internal_key_123',
+  'chari_api_key_123',
+  'chari_internal_key_456',
+  'demo-chari-api-key'
+].map(key => ({ key, ...DEFAULT_PARTNER, permissions: [...API_KEY_PERMISSIONS] }));
+
+const apiKeys = new Map();
+
+// Utility function to validate an API key entry and fill in its defaults
+// Returns { error } or { apiKey }
+const createApiKey = (input, existingKeys = apiKeys) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'An API key must be an object' };
+  }
+
+  const {
+    key = `sk_test_${crypto.randomBytes(16).toString('hex')}`,
+    partnerId,
+    permissions = [...DEFAULT_API_KEY_PERMISSIONS]
+  } = input;
+
+  if (typeof key !== 'string' || !key) {
+    return { error: 'key must be a non-empty string' };
+  }
+  if (existingKeys.has(key)) {
+    return { error: `API key already exists: ${key}` };
+  }
+  if (!Number.isInteger(partnerId) || partnerId < 1) {
+    return { error: 'partnerId must be an integer >= 1' };
+  }
+  if (!Array.isArray(permissions) || permissions.some(permission => !API_KEY_PERMISSIONS.includes(permission))) {
+    return { error: `permissions must be an array of: ${API_KEY_PERMISSIONS.join(', ')}` };
+  }
+
+  // A partner keeps one name across all its keys
+  const partnerKey = [...existingKeys.values()].find(entry => entry.partnerId === partnerId);
+  const partner = input.partner || partnerKey?.partner || `Partner ${partnerId}`;
+  if (partnerKey && partnerKey.partner !== partner) {
+    return { error: `partnerId ${partnerId} is already named ${partnerKey.partner}` };
+  }
+
+  return { apiKey: { key, partnerId, partner, permissions: [...new Set(permissions)] } };
+};
+
+// Load the API keys from CHARI_STUB_API_KEYS_FILE, a JSON array replacing the built-in keys
+const loadApiKeys = () => {
+  apiKeys.clear();
+
+  let entries = DEFAULT_API_KEYS;
+  if (API_KEYS_FILE) {
+    try {
+      const loaded = new Map();
+      JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8')).forEach((input, index) => {
+        const { error, apiKey } = createApiKey(input, loaded);
+        if (error) {
+          throw new Error(`Key ${index}: ${error}`);
+        }
+        loaded.set(apiKey.key, apiKey);
+      });
+      entries = [...loaded.values()];
+      console.log(`[CHARI-STUB] Loaded ${entries.length} API key(s) from ${API_KEYS_FILE}`);
+    } catch (err) {
+      console.error(`[CHARI-STUB] Failed to load API keys from ${API_KEYS_FILE}, using the built-in keys:`, err.message);
+    }
+  }
+
+  entries.forEach(entry => apiKeys.set(entry.key, { ...entry, permissions: [...entry.permissions] }));
+};
+
+loadApiKeys();
+
+// Utility function to find the partner a request is made for, null when its API key is unknown
+const getRequestPartnerId = (req) => apiKeys.get(req.headers['x-api-key'])?.partnerId ?? null;
+
+// Partner Settings
+// Admin-adjustable settings (policies, fees, limits, fault rules...) are kept per partner like the stores,
+// so one partner's test setup never changes what another partner's requests see
+const partnerSettings = new Map();
+const partnerSettingDefaults = new Map();
+
+// Utility function to get a partner's copy of a setting, created from the setting's default on first use
+const getPartnerSetting = (name, partnerId = getCurrentPartner().partnerId) => {
+  if (!partnerSettings.has(partnerId)) {
+    partnerSettings.set(partnerId, {});
+  }
+  const settings = partnerSettings.get(partnerId);
+  if (!Object.hasOwn(settings, name)) {
+    settings[name] = partnerSettingDefaults.get(name)();
+  }
+  return settings[name];
+};
+
+// Replace the current partner's copy of a setting
+const setPartnerSetting = (name, value) => {
+  getPartnerSetting(name);
+  partnerSettings.get(getCurrentPartner().partnerId)[name] = value;
+};
+
+// Declare a per-partner setting with the function creating its default value
+const registerPartnerSetting = (name, createDefault) => {
+  partnerSettingDefaults.set(name, createDefault);
+};
+
+// Declare a per-partner object setting and get a view of the current partner's copy, the same way mockData is a view of its store
+const definePartnerSetting = (name, createDefault) => {
+  registerPartnerSetting(name, createDefault);
+  return new Proxy({}, {
+    get: (target, field) => getPartnerSetting(name)[field],
+    set: (target, field, value) => {
+      getPartnerSetting(name)[field] = value;
+      return true;
+    },
+    has: (target, field) => field in getPartnerSetting(name),
+    ownKeys: () => Reflect.ownKeys(getPartnerSetting(name)),
+    getOwnPropertyDescriptor: (target, field) => Reflect.getOwnPropertyDescriptor(getPartnerSetting(name), field)
+  });
+};
+
+// Utility function to tell whether a request's API key may manage every partner's API keys
+const canManagePartners = (req) => Boolean(apiKeys.get(req.headers['x-api-key'])?.permissions.includes('partners'));
+
+// Utility function to tell the hosted card payment pages, opened by the customer's browser without an API key
+const isHostedPaymentPage = (req) => req.path.startsWith('/payment/');
+
+// Utility function to tell requests the stub always answers itself (health, docs, payment pages, admin) from Chari API requests
+const isStubInternalRequest = (req) => req.path === '/health' || req.path === '/docs' ||
+  req.path.startsWith('/docs/') || isHostedPaymentPage(req) || req.path.startsWith('/__admin');
+
+// Request Journal
+// Every Chari API request and its response, oldest first - queried through GET /__admin/requests
+const MAX_JOURNAL_ENTRIES = readIntEnv('CHARI_STUB_JOURNAL_MAX_ENTRIES', 1000);
+
+const requestJournal = [];
+
+// Credentials are masked before a request is journaled, so the journal never hands out another client's key
+const REDACTED_JOURNAL_HEADERS = ['x-api-key', 'authorization'];
+
+// Utility function to copy request headers with their credentials masked
+const redactJournalHeaders = (headers) => Object.fromEntries(Object.entries(headers).map(([name, value]) => [
+  name,
+  REDACTED_JOURNAL_HEADERS.includes(name.toLowerCase()) ? '[REDACTED]' : value
+]));
+
+// Utility function to collect the phone numbers a request refers to, from any *phoneNumber query or body field
+const getRequestPhoneNumbers = (query, body) => {
+  const phoneNumbers = [query, body]
+    .filter(source => source && typeof source === 'object' && !Array.isArray(source))
+    .flatMap(source => Object.entries(source))
+    .filter(([name, value]) => /phonenumber$/i.test(name) && typeof value === 'string')
+    .map(([, value]) => value);
+
+  return [...new Set(phoneNumbers)];
+};
+
+app.use((req, res, next) => {
+  if (isStubInternalRequest(req)) {
+    return next();
+  }
+
+  const startedAt = Date.now();
+  const entry = {
+    id: generateUUID(),
+    receivedAt: new Date(startedAt).toISOString(),
+    partnerId: getRequestPartnerId(req),
+    method: req.method,
+    path: req.path,
+    query: req.query,
+    headers: redactJournalHeaders(req.headers),
+    body: req.body ?? null,
+    cRequestId: req.headers['c-request-id'] || null,
+    phoneNumbers: getRequestPhoneNumbers(req.query, req.body),
+    response: null
+  };
+
+  requestJournal.push(entry);
+  if (requestJournal.length > MAX_JOURNAL_ENTRIES) {
+    requestJournal.splice(0, requestJournal.length - MAX_JOURNAL_ENTRIES);
+  }
+
+  // Capture the body as it is sent - res.json ends up in res.send with the serialized string
+  let sentBody = null;
+  const send = res.send.bind(res);
+  res.send = (body) => {
+    sentBody = body;
+    return send(body);
+  };
+
+  res.on('close', () => {
+    let body = Buffer.isBuffer(sentBody) ? sentBody.toString() : sentBody;
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch (err) {
+        // Not JSON, keep the raw text
+      }
+    }
+
+    entry.cRequestId = entry.cRequestId || body?.c_request_id || null;
+    entry.response = {
+      status: res.headersSent ? res.statusCode : null,
+      body: body ?? null,
+      completed: res.writableFinished,
+      durationMs: Date.now() - startedAt
+    };
+  });
+
+  next();
+});
+
+// Utility function to check whether a journal entry is visible to the partner of an admin request
+// Requests made with an unknown API key belong to no partner and are only visible with the partners permission
+const isJournalEntryVisible = (entry, req) => (entry.partnerId === null
+  ? canManagePartners(req)
+  : entry.partnerId === getCurrentPartner().partnerId);
+
+// Utility function to check that a value contains every field of an expected subset
+const matchesSubset = (actual, expected) => {
+  if (expected && typeof expected === 'object' && !Array.isArray(expected)) {
+    return Boolean(actual) && typeof actual === 'object' &&
+      Object.entries(expected).every(([name, value]) => matchesSubset(actual[name], value));
+  }
+  return canonicalJson(actual) === canonicalJson(expected);
+};
+
+// Utility function to check a journal entry against verification criteria
+// Criteria: { method, path, pathPattern, phoneNumber, status, since, until, headers, query, body } - all optional
+const matchesJournalCriteria = (entry, criteria) => {
+  const { method, path: requestPath, pathPattern, phoneNumber, status, since, until, headers, query, body } = criteria;
+
+  return (!method || entry.method === String(method).toUpperCase()) &&
+    (!requestPath || entry.path === requestPath) &&
+    (!pathPattern || new RegExp(pathPattern).test(entry.path)) &&
+    (!phoneNumber || entry.phoneNumbers.includes(phoneNumber)) &&
+    (!status || entry.response?.status === Number(status)) &&
+    (!since || Date.parse(entry.receivedAt) >= Date.parse(since)) &&
+    (!until || Date.parse(entry.receivedAt) <= Date.parse(until)) &&
+    (!headers || Object.entries(headers).every(([name, value]) => entry.headers[name.toLowerCase()] === value)) &&
+    (!query || matchesSubset(entry.query, query)) &&
+    (body === undefined || matchesSubset(entry.body, body));
+};
+
+// Utility function to validate journal criteria, returning an error message or null
+const validateJournalCriteria = ({ pathPattern, since, until, status, headers }) => {
+  if (pathPattern) {
+    try {
+      new RegExp(pathPattern);
+    } catch (err) {
+      return `pathPattern is not a valid regular expression: ${err.message}`;
+    }
+  }
+  if (since && Number.isNaN(Date.parse(since))) {
+    return 'since must be an ISO 8601 date';
+  }
+  if (until && Number.isNaN(Date.parse(until))) {
+    return 'until must be an ISO 8601 date';
+  }
+  if (status && !Number.isInteger(Number(status))) {
+    return 'status must be an HTTP status code';
+  }
+  if (headers !== undefined && (!headers || typeof headers !== 'object' || Array.isArray(headers))) {
+    return 'headers must be an object of header names and values';
+  }
+  return null;
+};
+
+// Fault Injection
+// Rules target Chari API requests by method, path, phone number and partner and add latency or make them fail
+// Every matching rule adds its latency; the most recently added matching rule with a failure decides the response
+const FAULT_TYPES = ['timeout', 'malformed_json', 'drop_connection'];
+const FAULTS_FILE = process.env.CHARI_STUB_FAULTS_FILE || null;
+
+// Utility function to validate a fault rule and fill in its defaults
+// Returns { error } or { rule }
+const createFaultRule = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'A fault rule must be an object' };
+  }
+
+  const {
+    method = null, path: rulePath = null, pathPattern = null, phoneNumber = null, partnerId = null,
+    status = null, errorDescription = null, fault = null, timeoutMs = 30000,
+    latencyMs = 0, jitterMs = 0, onCall = null, times = null, ttlSeconds = null
+  } = input;
+
+  if (pathPattern) {
+    try {
+      new RegExp(pathPattern);
+    } catch (err) {
+      return { error: `pathPattern is not a valid regular expression: ${err.message}` };
+    }
+  }
+  if (partnerId !== null && (!Number.isInteger(partnerId) || partnerId < 1)) {
+    return { error: 'partnerId must be an integer >= 1' };
+  }
+  if (status !== null && (!Number.isInteger(status) || status < 400 || status > 599)) {
+    return { error: 'status must be an HTTP error status between 400 and 599' };
+  }
+  if (fault !== null && !FAULT_TYPES.includes(fault)) {
+    return { error: `fault must be one of: ${FAULT_TYPES.join(', ')}` };
+  }
+  if (status !== null && fault !== null && fault !== 'malformed_json') {
+    return { error: `status cannot be combined with the ${fault} fault` };
+  }
+
+  const integerFields = { timeoutMs, latencyMs, jitterMs, onCall, times, ttlSeconds };
+  const invalidField = Object.entries(integerFields).find(([, value]) => value !== null && (!Number.isInteger(value) || value < 0));
+  if (invalidField) {
+    return { error: `${invalidField[0]} must be an integer >= 0` };
+  }
+  if (status === null && fault === null && latencyMs === 0 && jitterMs === 0) {
+    return { error: 'A fault rule needs a status, a fault or a latency' };
+  }
+
+  const createdAt = new Date();
+  return {
+    rule: {
+      id: generateUUID(),
+      method: method && String(method).toUpperCase(),
+      path: rulePath,
+      pathPattern,
+      phoneNumber,
+      partnerId,
+      status,
+      errorDescription,
+      fault,
+      timeoutMs,
+      latencyMs,
+      jitterMs,
+      onCall, // Only fail on the Nth matching call
+      times, // Stop firing after this many times
+      expiresAt: ttlSeconds === null ? null : new Date(createdAt.getTime() + ttlSeconds * 1000).toISOString(),
+      createdAt: createdAt.toISOString(),
+      calls: 0,
+      fired: 0
+    }
+  };
+};
+
+// Load the fault rules from CHARI_STUB_FAULTS_FILE, a JSON array of rules
+const loadFaultRules = () => {
+  if (!FAULTS_FILE) {
+    return [];
+  }
+
+  try {
+    const rules = JSON.parse(fs.readFileSync(FAULTS_FILE, 'utf8')).map(createFaultRule);
+    const invalid = rules.find(({ error }) => error);
+    if (invalid) {
+      throw new Error(invalid.error);
+    }
+    console.log(`[CHARI-STUB] Loaded ${rules.length} fault rule(s) from ${FAULTS_FILE}`);
+    return rules.map(({ rule }) => rule);
+  } catch (err) {
+    console.error(`[CHARI-STUB] Failed to load fault rules from ${FAULTS_FILE}, starting without faults:`, err.message);
+    return [];
+  }
+};
+
+registerPartnerSetting('faultRules', loadFaultRules);
+
+// Utility function to check whether a fault rule is still in effect
+const isFaultRuleActive = (rule) => (!rule.expiresAt || Date.parse(rule.expiresAt) > Date.now()) &&
+  (rule.times === null || rule.fired < rule.times);
+
+// Utility function to check whether a fault rule targets a request
+const matchesFaultRule = (rule, req) => (!rule.method || rule.method === req.method) &&
+  (!rule.path || rule.path === req.path) &&
+  (!rule.pathPattern || new RegExp(rule.pathPattern).test(req.path)) &&
+  (!rule.phoneNumber || getRequestPhoneNumbers(req.query, req.body).includes(rule.phoneNumber)) &&
+  (!rule.partnerId || rule.partnerId === getRequestPartnerId(req));
+
+// Utility function to get the fault rules of the partner a request is made for
+// Fault injection runs before the request context is set up, so the partner comes from the API key
+// Requests with a missing or unknown key belong to no partner, so no rule counts or fails them and they get their 401
+const getRequestFaultRules = (req) => {
+  const partnerId = getRequestPartnerId(req);
+  return partnerId === null ? [] : getPartnerSetting('faultRules', partnerId);
+};
+
+// Answer a request with a rule's failure
+const applyFault = (rule, req, res) => {
+  if (rule.fault === 'drop_connection') {
+    return req.socket.destroy();
+  }
+
+  if (rule.fault === 'timeout') {
+    // Never answer - the connection is dropped once timeoutMs has passed so it is not held forever
+    setTimeout(() => req.socket.destroy(), rule.timeoutMs).unref();
+    return;
+  }
+
+  if (rule.fault === 'malformed_json') {
+    return res.status(rule.status || 200).type('application/json').send('{"data": {"status": ');
+  }
+
+  res.status(rule.status).json(createErrorResponse(rule.status, rule.errorDescription || 'Injected fault'));
+};
+
+app.use(async (req, res, next) => {
+  if (isStubInternalRequest(req)) {
+    return next();
+  }
+
+  let delayMs = 0;
+  let failingRule = null;
+
+  [...getRequestFaultRules(req)].reverse().filter(rule => isFaultRuleActive(rule) && matchesFaultRule(rule, req)).forEach(rule => {
+    rule.calls += 1;
+    if (rule.onCall !== null && rule.calls !== rule.onCall) {
+      return;
+    }
+
+    rule.fired += 1;
+    delayMs += rule.latencyMs + Math.floor(Math.random() * (rule.jitterMs + 1));
+    if (!failingRule && (rule.status !== null || rule.fault !== null)) {
+      failingRule = rule;
+    }
+  });
+
+  if (delayMs > 0) {
+    console.log(`[CHARI-STUB] [FAULT] Delaying ${req.method} ${req.path} by ${delayMs}ms`);
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+  }
+
+  if (!failingRule) {
+    return next();
+  }
+
+  console.log(`[CHARI-STUB] [FAULT] Rule ${failingRule.id} failing ${req.method} ${req.path} with ${failingRule.fault || failingRule.status}`);
+  applyFault(failingRule, req, res);
+});
+
+// Record & Replay
+// record: Chari API requests are proxied to the upstream and every exchange is appended to the recordings file
+// replay: recorded responses are served by matching method, path, query and body, to requests with a valid stub API key
+const PROXY_MODES = ['stub', 'record', 'replay'];
+
+const proxyConfig = {
+  mode: PROXY_MODES.includes(process.env.CHARI_STUB_MODE) ? process.env.CHARI_STUB_MODE : 'stub',
+  upstreamUrl: process.env.CHARI_STUB_UPSTREAM_URL || null,
+  recordingsFile: process.env.CHARI_STUB_RECORDINGS_FILE || 'recordings.jsonl',
+  timeoutMs: readIntEnv('CHARI_STUB_UPSTREAM_TIMEOUT_MS', 30000),
+  fallthrough: process.env.CHARI_STUB_REPLAY_FALLTHROUGH === 'true' // Unmatched replays reach the stub routes instead of failing
+};
+
+if (process.env.CHARI_STUB_MODE && proxyConfig.mode !== process.env.CHARI_STUB_MODE) {
+  console.error(`[CHARI-STUB] Unknown CHARI_STUB_MODE "${process.env.CHARI_STUB_MODE}", expected one of ${PROXY_MODES.join(', ')} - using stub`);
+}
+
+// Hop-by-hop, transport and per-response headers that must not be copied between the client and the upstream
+const UNPROXIED_HEADERS = [
+  'host', 'date', 'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'te', 'trailer',
+  'transfer-encoding', 'upgrade', 'content-length', 'content-encoding', 'accept-encoding'
+];
+
+const recordings = [];
+// How many times each partner has replayed each recording key, so repeated requests walk through their recordings in order
+// without one partner's test run moving another's along
+const replayCursors = new Map();
+
+// Utility function to serialize a value with sorted object keys, so key order never affects matching
+const canonicalJson = (value) => JSON.stringify(value ?? null, (key, val) => (
+  val && typeof val === 'object' && !Array.isArray(val)
+    ? Object.keys(val).sort().reduce((sorted, name) => ({ ...sorted, [name]: val[name] }), {})
+    : val
+));
+
+// Utility function to build the key a request is matched on
+const getRecordingKey = ({ method, path, query, body }) => `${method} ${path} ${canonicalJson(query)} ${canonicalJson(body)}`;
+
+// Utility function to keep only the headers that can be forwarded as-is
+const filterProxiedHeaders = (headers) => Object.fromEntries(
+  Object.entries(headers).filter(([name]) => !UNPROXIED_HEADERS.includes(name.toLowerCase()))
+);
+
+// Load recordings from the recordings file, skipping lines that are not valid JSON
+const loadRecordings = () => {
+  recordings.length = 0;
+  replayCursors.clear();
+
+  if (!fs.existsSync(proxyConfig.recordingsFile)) {
+    return;
+  }
+
+  fs.readFileSync(proxyConfig.recordingsFile, 'utf8').split('\n').forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      recordings.push(JSON.parse(line));
+    } catch (err) {
+      console.error(`[CHARI-STUB] Skipping invalid recording at ${proxyConfig.recordingsFile}:${index + 1}: ${err.message}`);
+    }
+  });
+
+  console.log(`[CHARI-STUB] Loaded ${recordings.length} recording(s) from ${proxyConfig.recordingsFile}`);
+};
+
+// Append a recording to memory and to the recordings file
+const saveRecording = (recording) => {
+  recordings.push(recording);
+
+  try {
+    fs.mkdirSync(path.dirname(proxyConfig.recordingsFile), { recursive: true });
+    fs.appendFileSync(proxyConfig.recordingsFile, `${JSON.stringify(recording)}\n`);
+  } catch (err) {
+    console.error(`[CHARI-STUB] Failed to write recording to ${proxyConfig.recordingsFile}:`, err);
+  }
+};
+
+// Utility function to send a recorded or proxied response
+const sendProxiedResponse = (res, { status, headers, body }) => {
+  res.status(status).set(filterProxiedHeaders(headers || {}));
+  if (body === null || body === undefined) {
+    return res.end();
+  }
+  res.send(typeof body === 'string' ? body : JSON.stringify(body));
+};
+
+// Forward a request to the upstream and record the exchange
+// The API key and other request headers are forwarded but never written to the recordings file
+const recordRequest = async (req, res) => {
+  if (!proxyConfig.upstreamUrl) {
+    return res.status(502).json(createErrorResponse(502, 'Record mode requires an upstream URL'));
+  }
+
+  const request = { method: req.method, path: req.path, query: req.query, body: req.body ?? null };
+  const upstreamUrl = new URL(req.originalUrl.replace(/^\/+/, ''), proxyConfig.upstreamUrl.replace(/\/*$/, '/'));
+
+  let upstreamResponse;
+  let text;
+  try {
+    upstreamResponse = await fetch(upstreamUrl, {
+      method: req.method,
+      headers: filterProxiedHeaders(req.headers),
+      body: req.body === undefined || req.method === 'GET' || req.method === 'HEAD' ? undefined : JSON.stringify(req.body),
+      redirect: 'manual',
+      signal: AbortSignal.timeout(proxyConfig.timeoutMs)
+    });
+    text = await upstreamResponse.text();
+  } catch (err) {
+    const timedOut = err.name === 'TimeoutError';
+    console.log(`[CHARI-STUB] [RECORD] ${req.method} ${upstreamUrl} failed: ${err.message}`);
+    return res.status(timedOut ? 504 : 502).json(createErrorResponse(
+      timedOut ? 504 : 502,
+      timedOut ? `Upstream timed out after ${proxyConfig.timeoutMs}ms` : `Upstream request failed: ${err.message}`
+    ));
+  }
+
+  let body = text === '' ? null : text;
+  if (body !== null && (upstreamResponse.headers.get('content-type') || '').includes('json')) {
+    try {
+      body = JSON.parse(text);
+    } catch (err) {
+      // Keep malformed JSON as text so it is replayed byte for byte
+    }
+  }
+
+  const response = {
+    status: upstreamResponse.status,
+    headers: filterProxiedHeaders(Object.fromEntries(upstreamResponse.headers)),
+    body
+  };
+
+  saveRecording({ recordedAt: new Date().toISOString(), request, response });
+  console.log(`[CHARI-STUB] [RECORD] ${req.method} ${req.originalUrl} -> ${response.status}`);
+
+  sendProxiedResponse(res, response);
+};
+
+// Serve the recorded response for a request
+// Several recordings with the same key are replayed in recording order, the last one repeating
+const replayRequest = (req, res, next) => {
+  const key = getRecordingKey({ method: req.method, path: req.path, query: req.query, body: req.body });
+  const cursorKey = `${getRequestPartnerId(req)} ${key}`;
+  const matches = recordings.filter(recording => getRecordingKey(recording.request) === key);
+
+  if (matches.length === 0) {
+    console.log(`[CHARI-STUB] [REPLAY] No recording for ${req.method} ${req.originalUrl}`);
+    if (proxyConfig.fallthrough) {
+      return next();
+    }
+    return res.status(404).json(createErrorResponse(404, `No recording matches ${req.method} ${req.path}`));
+  }
+
+  const served = replayCursors.get(cursorKey) || 0;
+  replayCursors.set(cursorKey, served + 1);
+
+  const recording = matches[Math.min(served, matches.length - 1)];
+  console.log(`[CHARI-STUB] [REPLAY] ${req.method} ${req.originalUrl} -> ${recording.response.status}`);
+
+  sendProxiedResponse(res, recording.response);
+};
+
+loadRecordings();
+
+// Record mode passes the API key through for the upstream to check; replay checks it like the stub routes do,
+// so a request with a missing or unknown key gets the stub's 401 rather than a recorded response
+app.use((req, res, next) => {
+  if (proxyConfig.mode === 'stub' || isStubInternalRequest(req)) {
+    return next();
+  }
+  if (proxyConfig.mode === 'record') {
+    return recordRequest(req, res);
+  }
+  validateApiKey(req, res, () => replayRequest(req, res, next));
+});
+
 // API Key validation middleware
 const validateApiKey = (req, res, next) => {
-  // Skip API key validation for health endpoint
-  if (req.path === '/health') {
+  // Skip API key validation for health endpoint, API docs and hosted payment pages
+  if (req.path === '/health' || req.path === '/docs' || req.path.startsWith('/docs/') || isHostedPaymentPage(req)) {
     return next();
   }
 
-  const apiKey = req.headers['x-api-key'];
-
-  // Accept Chari API keys for development
-  const validChariKeys = [
-    'aslan_internal_key_123',
-    'chari_api_key_123',
-    'chari_internal_key_456',
-    'demo-chari-api-key'
-  ];
+  const apiKey = apiKeys.get(req.headers['x-api-key']);
 
-  if (!apiKey || !validChariKeys.includes(apiKey)) {
+  if (!apiKey) {
     return res.status(401).json({
       errorCode: 401,
       errorDescription: 'Invalid or missing Chari API key'
     });
   }
 
+  let permission = req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'write';
+  if (req.path.startsWith('/__admin')) {
+    permission = 'admin';
+  }
+
+  if (!apiKey.permissions.includes(permission)) {
+    return res.status(403).json({
+      errorCode: 403,
+      errorDescription: `API key does not have the ${permission} permission`
+    });
+  }
+
   next();
 };
 
 // Apply API key validation to all routes
 app.use(validateApiKey);
 
-// Function to generate fake transactions for testing
-function generateFakeTransactions(count = 25) {
-  const transactionTypes = ['CASHIN', 'CASHOUT', 'TRANSFER_IN', 'TRANSFER_OUT', 'BILL_PAYMENT'];
-  const descriptions = {
-    'CASHIN': ['Mobile money deposit', 'Cash deposit at agent', 'Cash deposit at branch', 'ATM deposit', 'Bank transfer in'],
-    'CASHOUT': ['ATM withdrawal', 'Cash withdrawal at agent', 'Cash withdrawal at branch', 'Point of sale'],
-    'TRANSFER_IN': ['Transfer from +212611111111', 'Transfer from +212622222222', 'Transfer from +212633333333', 'Salary payment', 'Family transfer'],
-    'TRANSFER_OUT': ['Transfer to +212644444444', 'Transfer to +212655555555', 'Payment to merchant', 'Bill payment', 'Friend transfer'],
-    'BILL_PAYMENT': ['Electricity bill', 'Water bill', 'Internet bill', 'Mobile top-up', 'Insurance payment']
-  };
-  const statuses = ['COMPLETED', 'COMPLETED', 'COMPLETED', 'COMPLETED', 'PENDING']; // More completed than pending
+// Per-request context, readable from any helper while the request is handled
+const requestContext = new AsyncLocalStorage();
+app.use((req, res, next) => {
+  const apiKey = apiKeys.get(req.headers['x-api-key']);
+  requestContext.run({
+    apiKey: apiKey?.key || null,
+    partnerId: apiKey?.partnerId ?? DEFAULT_PARTNER.partnerId,
+    partner: apiKey?.partner || DEFAULT_PARTNER.partner
+  }, next);
+});
 
-  const transactions = [];
-  let currentBalance = 5000.00; // Starting balance
-  const now = new Date();
+// Utility function to get the partner of the request being handled - the default partner outside requests
+const getCurrentPartner = () => {
+  const context = requestContext.getStore();
+  return context ? { partnerId: context.partnerId, partner: context.partner } : { ...DEFAULT_PARTNER };
+};
 
-  for (let i = 0; i < count; i++) {
-    const type = transactionTypes[Math.floor(Math.random() * transactionTypes.length)];
-    const isCredit = type === 'CASHIN' || type === 'TRANSFER_IN';
-    const baseAmount = Math.random() * 1000 + 50; // Random amount between 50 and 1050
-    const amount = isCredit ? baseAmount : -baseAmount;
+// Rate Limiting
+// Each rule counts matching Chari API requests in fixed windows, in buckets built from its "by" dimensions:
+// apiKey (the caller's key), phoneNumber (every *phoneNumber field of the request) and route (method and path)
+// Buckets are always scoped to the caller's partner so partners never throttle each other
+const RATE_LIMIT_DIMENSIONS = ['apiKey', 'phoneNumber', 'route'];
+const RATE_LIMITS_FILE = process.env.CHARI_STUB_RATE_LIMITS_FILE || null;
+
+const DEFAULT_RATE_LIMIT_RULES = [
+  { id: 'api-key', by: ['apiKey'], limit: 300, windowSeconds: 60 },
+  { id: 'login', by: ['phoneNumber'], method: 'POST', path: '/customers/login', limit: 10, windowSeconds: 60 },
+  { id: 'otp-resend', by: ['phoneNumber'], method: 'POST', path: '/customers/confirm/resend-otp', limit: 3, windowSeconds: 600 }
+];
+
+// Utility function to validate a rate limit rule and fill in its defaults
+// Returns { error } or { rule }
+const createRateLimitRule = (input, index) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'A rate limit rule must be an object' };
+  }
 
-    currentBalance += amount;
+  const { id = `rule-${index + 1}`, by, method = null, path: rulePath = null, pathPattern = null, limit, windowSeconds } = input;
 
-    // Generate date going backwards in time
-    const daysAgo = count - i;
-    const date = new Date(now);
-    date.setDate(date.getDate() - daysAgo);
-    date.setHours(Math.floor(Math.random() * 24));
-    date.setMinutes(Math.floor(Math.random() * 60));
+  if (typeof id !== 'string' || !id) {
+    return { error: 'id must be a non-empty string' };
+  }
+  if (!Array.isArray(by) || by.length === 0 || by.some(dimension => !RATE_LIMIT_DIMENSIONS.includes(dimension))) {
+    return { error: `by must be a non-empty array of: ${RATE_LIMIT_DIMENSIONS.join(', ')}` };
+  }
+  if (pathPattern) {
+    try {
+      new RegExp(pathPattern);
+    } catch (err) {
+      return { error: `pathPattern is not a valid regular expression: ${err.message}` };
+    }
+  }
+  if (!Number.isInteger(limit) || limit < 0) {
+    return { error: 'limit must be an integer >= 0' };
+  }
+  if (!Number.isInteger(windowSeconds) || windowSeconds < 1) {
+    return { error: 'windowSeconds must be an integer >= 1' };
+  }
 
-    const descList = descriptions[type];
-    const description = descList[Math.floor(Math.random() * descList.length)];
-    const status = statuses[Math.floor(Math.random() * statuses.length)];
+  return {
+    rule: { id, by: [...new Set(by)], method: method && String(method).toUpperCase(), path: rulePath, pathPattern, limit, windowSeconds }
+  };
+};
 
-    transactions.unshift({ // Add to beginning so newest are first
-      id: `TXN_${String(i + 1).padStart(3, '0')}`,
-      type: type,
-      amount: parseFloat(amount.toFixed(2)),
-      currency: 'MAD',
-      date: date.toISOString(),
-      description: description,
-      status: status,
-      balanceAfter: parseFloat(currentBalance.toFixed(2))
-    });
+// Utility function to validate a list of rules, returning { error } or { rules }
+const createRateLimitRules = (inputs) => {
+  if (!Array.isArray(inputs)) {
+    return { error: 'rules must be an array' };
   }
 
-  return transactions;
-}
+  const results = inputs.map(createRateLimitRule);
+  const invalidIndex = results.findIndex(({ error }) => error);
+  if (invalidIndex !== -1) {
+    return { error: `Rule ${invalidIndex}: ${results[invalidIndex].error}` };
+  }
 
-// Mock database - in memory store for development
-const mockData = {
-  customers: {
-    // Customer statuses: 0 = not exists, 1 = not confirmed, 2 = confirmed but no PIN, 3 = active, 4 = temporarily locked, 5 = permanently locked
-    '+212600000001': { status: 0, message: 'Customer not found' },
-    '+212600000002': { status: 1, message: 'Customer not confirmed' },
-    '+212600000003': { status: 2, message: 'Customer confirmed but no PIN' },
-    '+212600000004': { status: 3, message: 'Active customer' },
-    '+212600000005': { status: 4, message: 'Temporarily locked' },
-    '+212600000006': { status: 5, message: 'Permanently locked' },
-    // Add more test numbers as needed
-  },
-  registrations: {
-    '+212600000002': {
-      firstName: 'Ahmed',
-      lastName: 'Ben Ali',
-      cin: 'AB123456',
-      walletType: 'P',
-      registeredAt: '2024-01-15T10:30:00Z'
-    },
-    '+212600000003': {
-      firstName: 'Fatima',
-      lastName: 'Zahra',
-      cin: 'CD789012',
-      walletType: 'P',
-      registeredAt: '2024-01-20T14:15:00Z'
-    },
-    '+212600000004': {
-      firstName: 'Mohammed',
-      lastName: 'Alami',
-      cin: 'EF345678',
-      walletType: 'P',
-      registeredAt: '2024-01-10T09:45:00Z'
+  const rules = results.map(({ rule }) => rule);
+  const duplicate = rules.find((rule, index) => rules.findIndex(other => other.id === rule.id) !== index);
+  if (duplicate) {
+    return { error: `Duplicate rule id: ${duplicate.id}` };
+  }
+
+  return { rules };
+};
+
+// Load the rate limit rules from CHARI_STUB_RATE_LIMITS_FILE, a JSON array replacing the built-in rules
+const loadRateLimitRules = () => {
+  if (!RATE_LIMITS_FILE) {
+    return createRateLimitRules(DEFAULT_RATE_LIMIT_RULES).rules;
+  }
+
+  try {
+    const { error, rules } = createRateLimitRules(JSON.parse(fs.readFileSync(RATE_LIMITS_FILE, 'utf8')));
+    if (error) {
+      throw new Error(error);
     }
-  },
-  pins: {
-    '+212600000004': '1234' // Stored for reference
-  },
-  balances: {
-    '+212600000004': 3247.75,
-    '+212600000003': 150.00,
-    '+212600000002': 0.00
-  },
-  transactions: {
-    '+212600000004': generateFakeTransactions(25),
-    '+212600000003': generateFakeTransactions(25),
-    '+212600000002': generateFakeTransactions(25)
+    console.log(`[CHARI-STUB] Loaded ${rules.length} rate limit rule(s) from ${RATE_LIMITS_FILE}`);
+    return rules;
+  } catch (err) {
+    console.error(`[CHARI-STUB] Failed to load rate limit rules from ${RATE_LIMITS_FILE}, using the built-in rules:`, err.message);
+    return createRateLimitRules(DEFAULT_RATE_LIMIT_RULES).rules;
   }
 };
 
-// Utility function to standardize API responses
-const createResponse = (data, req = null) => {
+// Rate limit policy of each partner - adjustable at runtime through PUT /__admin/rate-limits
+// Off unless CHARI_STUB_RATE_LIMITS_ENABLED is 'true', so existing clients are not throttled by surprise
+const createRateLimitPolicy = () => ({
+  enabled: process.env.CHARI_STUB_RATE_LIMITS_ENABLED === 'true',
+  rules: loadRateLimitRules()
+});
+
+const rateLimitPolicy = definePartnerSetting('rateLimitPolicy', createRateLimitPolicy);
+
+// Request counts per rule and bucket for the current window
+const rateLimitBuckets = new Map();
+
+// Forget the current partner's request counts
+const clearRateLimitBuckets = () => {
+  const { partnerId } = getCurrentPartner();
+  rateLimitBuckets.forEach((bucket, bucketKey) => {
+    if (bucket.partnerId === partnerId) {
+      rateLimitBuckets.delete(bucketKey);
+    }
+  });
+};
+
+// Utility function to list the bucket keys a rule counts a request in - none when the rule does not apply
+const getRateLimitBucketKeys = (rule, req, partnerId) => {
+  if ((rule.method && rule.method !== req.method) ||
+    (rule.path && rule.path !== req.path) ||
+    (rule.pathPattern && !new RegExp(rule.pathPattern).test(req.path))) {
+    return [];
+  }
+
+  let keys = [`${rule.id}|${partnerId}`];
+  rule.by.forEach(dimension => {
+    if (dimension === 'apiKey') {
+      keys = keys.map(key => `${key}|${req.headers['x-api-key']}`);
+    } else if (dimension === 'route') {
+      keys = keys.map(key => `${key}|${req.method} ${req.path}`);
+    } else {
+      const phoneNumbers = getRequestPhoneNumbers(req.query, req.body);
+      keys = keys.flatMap(key => phoneNumbers.map(phoneNumber => `${key}|${phoneNumber}`));
+    }
+  });
+
+  return keys;
+};
+
+app.use((req, res, next) => {
+  if (!rateLimitPolicy.enabled || isStubInternalRequest(req)) {
+    return next();
+  }
+
+  const now = Date.now();
+  const { partnerId } = getCurrentPartner();
+
+  // Drop expired buckets now and then so the map doesn't grow forever
+  if (rateLimitBuckets.size > 10000) {
+    rateLimitBuckets.forEach((bucket, bucketKey) => {
+      if (bucket.resetAt <= now) {
+        rateLimitBuckets.delete(bucketKey);
+      }
+    });
+  }
+
+  // Count the request in every applicable bucket, keeping the one closest to (or over) its limit
+  let tightest = null;
+  rateLimitPolicy.rules.forEach(rule => {
+    getRateLimitBucketKeys(rule, req, partnerId).forEach(bucketKey => {
+      let bucket = rateLimitBuckets.get(bucketKey);
+      if (!bucket || bucket.resetAt <= now) {
+        bucket = { partnerId, count: 0, resetAt: now + rule.windowSeconds * 1000 };
+        rateLimitBuckets.set(bucketKey, bucket);
+      }
+      bucket.count += 1;
+
+      const remaining = rule.limit - bucket.count;
+      if (!tightest || remaining < tightest.remaining) {
+        tightest = { rule, bucket, remaining };
+      }
+    });
+  });
+
+  if (!tightest) {
+    return next();
+  }
+
+  const { rule, bucket, remaining } = tightest;
+  res.set({
+    'X-RateLimit-Limit': String(rule.limit),
+    'X-RateLimit-Remaining': String(Math.max(remaining, 0)),
+    'X-RateLimit-Reset': String(Math.ceil(bucket.resetAt / 1000))
+  });
+
+  if (remaining >= 0) {
+    return next();
+  }
+
+  const retryAfter = Math.max(Math.ceil((bucket.resetAt - now) / 1000), 1);
+  console.log(`[CHARI-STUB] Rate limit ${rule.id} exceeded by ${req.method} ${req.path}, retry in ${retryAfter}s`);
+
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json(createErrorResponse(429, `Too many requests, please retry in ${retryAfter} second(s)`));
+});
+
+// Transaction generator configuration
+// With a seed, every generated history is reproducible; each customer's history is derived from
+// the seed and its phone number, so it doesn't depend on the order customers are generated in
+const TRANSACTION_TYPES = ['CASHIN', 'CASHOUT', 'TRANSFER_IN', 'TRANSFER_OUT', 'BILL_PAYMENT', 'TOPUP', 'MERCHANT_PAYMENT', 'MERCHANT_REFUND'];
+
+// Transaction types that credit the wallet
+const CREDIT_TRANSACTION_TYPES = ['CASHIN', 'TRANSFER_IN', 'MERCHANT_REFUND'];
+
+const DEFAULT_GENERATOR_OPTIONS = {
+  count: 25,
+  typeWeights: { CASHIN: 1, CASHOUT: 1, TRANSFER_IN: 1, TRANSFER_OUT: 1, BILL_PAYMENT: 1 },
+  minAmount: 50,
+  maxAmount: 1050,
+  spanDays: null // Defaults to one day per transaction
+};
+
+const generatorConfig = definePartnerSetting('generatorConfig', () => ({
+  seed: process.env.CHARI_STUB_SEED || null,
+  now: process.env.CHARI_STUB_NOW || null, // Fixed reference date for generated histories
+  defaults: {},
+  customers: {} // Per-customer option overrides keyed by phone number
+}));
+
+// Validate generator options, returning { value } with only the recognized options or { error }
+const normalizeGeneratorOptions = (options = {}) => {
+  const value = {};
+  const { count, typeWeights, minAmount, maxAmount, spanDays } = options;
+
+  if (count !== undefined) {
+    if (!Number.isInteger(count) || count < 0 || count > 1000) {
+      return { error: 'count must be an integer between 0 and 1000' };
+    }
+    value.count = count;
+  }
+  if (typeWeights !== undefined) {
+    const entries = Object.entries(typeWeights || {});
+    if (entries.length === 0 || entries.some(([type, weight]) => !TRANSACTION_TYPES.includes(type) || typeof weight !== 'number' || weight < 0)) {
+      return { error: `typeWeights must map ${TRANSACTION_TYPES.join(', ')} to non-negative numbers` };
+    }
+    if (!entries.some(([, weight]) => weight > 0)) {
+      return { error: 'typeWeights must have at least one positive weight' };
+    }
+    value.typeWeights = typeWeights;
+  }
+  for (const [name, amount] of [['minAmount', minAmount], ['maxAmount', maxAmount]]) {
+    if (amount !== undefined) {
+      if (typeof amount !== 'number' || amount <= 0) {
+        return { error: `${name} must be a positive number` };
+      }
+      value[name] = amount;
+    }
+  }
+  if (spanDays !== undefined) {
+    if (spanDays !== null && (!Number.isInteger(spanDays) || spanDays < 1)) {
+      return { error: 'spanDays must be a positive integer' };
+    }
+    value.spanDays = spanDays;
+  }
+
+  return { value };
+};
+
+// Seeded pseudo-random generator (mulberry32), returns floats in [0, 1) like Math.random
+const createSeededRandom = (seed) => {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Reference "now" for generated histories
+const getGeneratorNow = () => (generatorConfig.now ? new Date(generatorConfig.now) : new Date());
+
+// Function to generate fake transactions for testing
+// options: { count, typeWeights, minAmount, maxAmount, spanDays, seed, now, balance }
+// The history is back-computed from balance, the customer's current balance, so the newest balanceAfter equals it
+function generateFakeTransactions(options = {}) {
+  const { count, typeWeights, minAmount, maxAmount, spanDays } = { ...DEFAULT_GENERATOR_OPTIONS, ...options };
+  const random = options.seed !== undefined && options.seed !== null ? createSeededRandom(options.seed) : Math.random;
+  const descriptions = {
+    'CASHIN': ['Mobile money deposit', 'Cash deposit at agent', 'Cash deposit at branch', 'ATM deposit', 'Bank transfer in'],
+    'CASHOUT': ['ATM withdrawal', 'Cash withdrawal at agent', 'Cash withdrawal at branch', 'Point of sale'],
+    'TRANSFER_IN': ['Transfer from +212611111111', 'Transfer from +212622222222', 'Transfer from +212633333333', 'Salary payment', 'Family transfer'],
+    'TRANSFER_OUT': ['Transfer to +212644444444', 'Transfer to +212655555555', 'Payment to merchant', 'Bill payment', 'Friend transfer'],
+    'BILL_PAYMENT': ['Electricity bill', 'Water bill', 'Internet bill', 'Mobile top-up', 'Insurance payment'],
+    'TOPUP': ['Maroc Telecom recharge', 'Orange recharge', 'inwi recharge', 'Internet pass'],
+    'MERCHANT_PAYMENT': ['Payment to merchant', 'Grocery store', 'Restaurant', 'Pharmacy'],
+    'MERCHANT_REFUND': ['Merchant refund', 'Refund from store']
+  };
+  const statuses = ['COMPLETED', 'COMPLETED', 'COMPLETED', 'COMPLETED', 'PENDING']; // More completed than pending
+
+  // Weighted pick of the transaction type
+  const weightedTypes = Object.entries(typeWeights).filter(([, weight]) => weight > 0);
+  const isCredit = type => CREDIT_TRANSACTION_TYPES.includes(type);
+  const pickType = (types) => {
+    const total = types.reduce((sum, [, weight]) => sum + weight, 0);
+    let threshold = random() * total;
+    for (const [type, weight] of types) {
+      threshold -= weight;
+      if (threshold < 0) {
+        return type;
+      }
+    }
+    return types[types.length - 1][0];
+  };
+  const debitTypes = weightedTypes.filter(([type]) => !isCredit(type));
+
+  const transactions = [];
+  let currentBalance = parseFloat((options.balance || 0).toFixed(2));
+  const now = options.now ? new Date(options.now) : getGeneratorNow();
+  const span = spanDays || count;
+
+  // Walk back from the newest transaction, undoing each one to find the balance before it
+  for (let i = 0; i < count; i++) {
+    let type = pickType(weightedTypes);
+    const baseAmount = random() * (maxAmount - minAmount) + minAmount; // Random amount between minAmount and maxAmount
+    // A credit larger than the balance it led to would mean a negative balance before it - make it a debit instead
+    if (isCredit(type) && baseAmount > currentBalance && debitTypes.length > 0) {
+      type = pickType(debitTypes);
+    }
+    // Round before updating the balance so balanceAfter always adds up from the recorded amounts
+    const amount = parseFloat((isCredit(type) ? baseAmount : -baseAmount).toFixed(2));
+    const balanceAfter = currentBalance;
+
+    currentBalance = parseFloat((currentBalance - amount).toFixed(2));
+
+    // Generate date going backwards in time, spread evenly over the span
+    const daysAgo = Math.round((i + 1) * span / count);
+    const date = new Date(now);
+    date.setUTCDate(date.getUTCDate() - daysAgo);
+    date.setUTCHours(Math.floor(random() * 24));
+    date.setUTCMinutes(Math.floor(random() * 60));
+
+    const descList = descriptions[type];
+    const description = descList[Math.floor(random() * descList.length)];
+    const status = statuses[Math.floor(random() * statuses.length)];
+
+    transactions.push({ // Generated newest first
+      id: `TXN_${String(count - i).padStart(3, '0')}`,
+      type: type,
+      amount: amount,
+      currency: 'MAD',
+      date: date.toISOString(),
+      description: description,
+      status: status,
+      balanceAfter: balanceAfter
+    });
+  }
+
+  return transactions;
+}
+
+// Generate a customer's history ending at their balance, from the global seed, default options and their own overrides
+const generateCustomerTransactions = (phoneNumber, balance) => generateFakeTransactions({
+  ...generatorConfig.defaults,
+  ...generatorConfig.customers[phoneNumber],
+  seed: generatorConfig.seed !== null ? `${generatorConfig.seed}:${phoneNumber}` : null,
+  balance
+});
+
+// Seeded balances - each customer's generated history is back-computed from their balance
+const BASELINE_BALANCES = {
+  '+212600000004': 3247.75,
+  '+212600000003': 150.00,
+  '+212600000002': 0.00
+};
+
+// Baseline fixtures - rebuilt on startup and on admin reset
+const createBaselineData = () => ({
+  customers: {
+    // Customer statuses: 0 = not exists, 1 = not confirmed, 2 = confirmed but no PIN, 3 = active, 4 = temporarily locked, 5 = permanently locked
+    '+212600000001': { status: 0, message: 'Customer not found' },
+    '+212600000002': { status: 1, message: 'Customer not confirmed' },
+    '+212600000003': { status: 2, message: 'Customer confirmed but no PIN' },
+    '+212600000004': { status: 3, message: 'Active customer' },
+    '+212600000005': { status: 4, message: 'Temporarily locked' },
+    '+212600000006': { status: 5, message: 'Permanently locked' },
+    // Add more test numbers as needed
+  },
+  registrations: {
+    '+212600000002': {
+      firstName: 'Ahmed',
+      lastName: 'Ben Ali',
+      cin: 'AB123456',
+      walletType: 'P',
+      registeredAt: '2024-01-15T10:30:00Z'
+    },
+    '+212600000003': {
+      firstName: 'Fatima',
+      lastName: 'Zahra',
+      cin: 'CD789012',
+      walletType: 'P',
+      registeredAt: '2024-01-20T14:15:00Z'
+    },
+    '+212600000004': {
+      firstName: 'Mohammed',
+      lastName: 'Alami',
+      cin: 'EF345678',
+      walletType: 'P',
+      registeredAt: '2024-01-10T09:45:00Z'
+    }
+  },
+  pins: {
+    '+212600000004': '1234' // Stored for reference
+  },
+  beneficiaries: {
+    '+212600000004': [
+      {
+        id: 1,
+        customerId: 212600000004,
+        name: 'Ahmed Benali',
+        phoneNumber: '+212611111111',
+        createdAt: '2025-01-15T10:30:00Z',
+        isVisible: true,
+        rib: null,
+        email: 'ahmed@example.com'
+      },
+      {
+        id: 2,
+        customerId: 212600000004,
+        name: 'Fatima Zahra',
+        phoneNumber: null,
+        createdAt: '2025-01-20T14:15:00Z',
+        isVisible: true,
+        rib: '827640000010000000001234',
+        email: null
+      }
+    ]
+  },
+  otps: {
+    // Pending confirmation codes - the baseline code never expires
+    '+212600000002': { code: '123456', issuedAt: '2024-01-15T10:30:00Z', expiresAt: null, attempts: 0, resends: 0 }
+  },
+  balances: { ...BASELINE_BALANCES },
+  transactions: Object.fromEntries(Object.entries(BASELINE_BALANCES).map(([phoneNumber, balance]) =>
+    [phoneNumber, generateCustomerTransactions(phoneNumber, balance)])),
+  cashRequests: {
+    // Cash-in/cash-out requests keyed by reference
+  },
+  cardSessions: {
+    // Card cash-in payment sessions keyed by sessionId
+  },
+  bills: {
+    // Biller contracts keyed by billerId:reference, with their invoices
+    'LYDEC:1234567890': {
+      billerId: 'LYDEC',
+      reference: '1234567890',
+      customerName: 'Mohammed Alami',
+      invoices: [
+        { invoiceId: 'LYD-2025-04-0001', period: '2025-04', description: 'Electricity and water - April 2025', amount: 312.40, dueDate: '2025-05-15', status: 'UNPAID', paidAt: null, transactionReference: null },
+        { invoiceId: 'LYD-2025-05-0001', period: '2025-05', description: 'Electricity and water - May 2025', amount: 287.15, dueDate: '2025-06-15', status: 'UNPAID', paidAt: null, transactionReference: null }
+      ]
+    },
+    'REDAL:123456789': {
+      billerId: 'REDAL',
+      reference: '123456789',
+      customerName: 'Ahmed Ben Ali',
+      invoices: [
+        { invoiceId: 'RDL-2025-05-0042', period: '2025-05', description: 'Water - May 2025', amount: 145.60, dueDate: '2025-06-10', status: 'UNPAID', paidAt: null, transactionReference: null }
+      ]
+    },
+    'ONEE:100000000001': {
+      billerId: 'ONEE',
+      reference: '100000000001',
+      customerName: 'Fatima Zahra',
+      invoices: [
+        { invoiceId: 'ONE-2025-04-0007', period: '2025-04', description: 'Electricity - April 2025', amount: 198.30, dueDate: '2025-05-20', status: 'PAID', paidAt: '2025-05-02T09:12:00Z', transactionReference: null }
+      ]
+    },
+    'IAM:0522000001': {
+      billerId: 'IAM',
+      reference: '0522000001',
+      customerName: 'Mohammed Alami',
+      invoices: [
+        { invoiceId: 'IAM-2025-05-3310', period: '2025-05', description: 'Fixed line and internet - May 2025', amount: 249.00, dueDate: '2025-06-05', status: 'UNPAID', paidAt: null, transactionReference: null }
+      ]
+    },
+    'RMA:POL-000123': {
+      billerId: 'RMA',
+      reference: 'POL-000123',
+      customerName: 'Mohammed Alami',
+      invoices: [
+        { invoiceId: 'RMA-2025-Q2-0123', period: '2025-Q2', description: 'Car insurance - Q2 2025', amount: 1250.00, dueDate: '2025-06-30', status: 'UNPAID', paidAt: null, transactionReference: null }
+      ]
+    }
+  },
+  merchants: {
+    // Merchants keyed by merchantId - payments they received, newest first, with their refunds
+    'MRC001': { merchantId: 'MRC001', name: 'Cafe Hafa', mcc: '5812', city: 'Tangier', status: 'ACTIVE', balance: 0, payments: [] },
+    'MRC002': { merchantId: 'MRC002', name: 'Marjane Market', mcc: '5411', city: 'Casablanca', status: 'ACTIVE', balance: 0, payments: [] },
+    'MRC003': { merchantId: 'MRC003', name: 'Pharmacie Atlas', mcc: '5912', city: 'Rabat', status: 'ACTIVE', balance: 0, payments: [] },
+    'MRC004': { merchantId: 'MRC004', name: 'Librairie Al Kitab', mcc: '5942', city: 'Fes', status: 'SUSPENDED', balance: 0, payments: [] }
+  }
+});
+
+// Stores keyed by partnerId, each one created from the baseline fixtures on the partner's first request
+const partnerStores = new Map([[DEFAULT_PARTNER.partnerId, createBaselineData()]]);
+
+// Utility function to get a partner's store, creating it when needed
+const getPartnerStore = (partnerId) => {
+  if (!partnerStores.has(partnerId)) {
+    partnerStores.set(partnerId, createBaselineData());
+  }
+  return partnerStores.get(partnerId);
+};
+
+// Mock database - in memory store for development
+// Resolves to the store of the partner making the current request, so every route is isolated per partner
+const mockData = new Proxy({}, {
+  get: (target, collection) => getPartnerStore(getCurrentPartner().partnerId)[collection],
+  set: (target, collection, value) => {
+    getPartnerStore(getCurrentPartner().partnerId)[collection] = value;
+    return true;
+  },
+  ownKeys: () => Reflect.ownKeys(getPartnerStore(getCurrentPartner().partnerId)),
+  getOwnPropertyDescriptor: (target, collection) =>
+    Reflect.getOwnPropertyDescriptor(getPartnerStore(getCurrentPartner().partnerId), collection)
+});
+
+// Every SMS the stub would have sent, oldest first - read through GET /__admin/outbox
+const smsOutbox = [];
+
+// Remove the current partner's SMS from the outbox
+const clearSmsOutbox = () => {
+  const { partnerId } = getCurrentPartner();
+  smsOutbox.splice(0, smsOutbox.length, ...smsOutbox.filter(sms => sms.partnerId !== partnerId));
+};
+
+// Collections of mockData exposed through the admin API, all keyed by phone number
+const CUSTOMER_COLLECTIONS = ['customers', 'registrations', 'pins', 'otps', 'balances', 'transactions', 'beneficiaries'];
+
+// Every collection of mockData, as persisted, snapshotted and reset
+const STORE_COLLECTIONS = [...CUSTOMER_COLLECTIONS, 'cashRequests', 'cardSessions', 'bills', 'merchants'];
+
+// Default messages for each customer status code
+const CUSTOMER_STATUS_MESSAGES = {
+  0: 'Customer not found',
+  1: 'Customer not confirmed',
+  2: 'Customer confirmed but no PIN',
+  3: 'Active customer',
+  4: 'Temporarily locked',
+  5: 'Permanently locked'
+};
+
+// Replace every collection of mockData, keeping the same object reference
+const replaceMockData = (data) => {
+  STORE_COLLECTIONS.forEach(collection => {
+    mockData[collection] = data[collection] || {};
+  });
+};
+
+// Restore the current partner's store to the baseline fixtures, forgetting its SMS, idempotency keys and rate limit counts
+const resetMockData = () => {
+  replaceMockData(createBaselineData());
+  clearSmsOutbox();
+  clearIdempotencyRecords();
+  clearRateLimitBuckets();
+};
+
+// Persistence
+
+// Write JSON through a temporary file so a crash never leaves a truncated file behind
+const writeJsonFile = (filePath, data) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+};
+
+// Save every partner's store to the data file when persistence is enabled
+// The default partner's collections stay at the top level, other partners are kept under "partners"
+const persistMockData = () => {
+  if (!DATA_FILE) {
+    return;
+  }
+
+  const partners = Object.fromEntries([...partnerStores].filter(([partnerId]) => partnerId !== DEFAULT_PARTNER.partnerId));
+
+  try {
+    writeJsonFile(DATA_FILE, { ...partnerStores.get(DEFAULT_PARTNER.partnerId), partners });
+  } catch (err) {
+    console.error(`[CHARI-STUB] Failed to persist store to ${DATA_FILE}:`, err);
+  }
+};
+
+// Load mockData from the data file on startup, falling back to the baseline
+const loadPersistedData = () => {
+  if (!DATA_FILE || !fs.existsSync(DATA_FILE)) {
+    return;
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    replaceMockData(data);
+    Object.entries(data.partners || {}).forEach(([partnerId, store]) => {
+      partnerStores.set(Number(partnerId), Object.fromEntries(STORE_COLLECTIONS.map(collection => [collection, store[collection] || {}])));
+    });
+    console.log(`[CHARI-STUB] Store loaded from ${DATA_FILE}`);
+  } catch (err) {
+    console.error(`[CHARI-STUB] Failed to load store from ${DATA_FILE}, using baseline:`, err);
+  }
+};
+
+loadPersistedData();
+
+// Persist the store after every request that may have changed it
+app.use((req, res, next) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD' && req.method !== 'OPTIONS') {
+    res.on('finish', persistMockData);
+  }
+  next();
+});
+
+// Flush the store on shutdown so a change made just before a restart is not lost
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    persistMockData();
+    process.exit(0);
+  });
+});
+
+// Named snapshots of the current partner's store - stored as <name>.json in SNAPSHOT_DIR
+// (SNAPSHOT_DIR/partners/<partnerId> for partners other than the default one), or in memory when it is unset
+const memorySnapshots = new Map();
+
+const isValidSnapshotName = (name) => /^[A-Za-z0-9_.-]+$/.test(name) && !name.startsWith('.');
+
+const getSnapshotDir = () => {
+  const { partnerId } = getCurrentPartner();
+  return partnerId === DEFAULT_PARTNER.partnerId ? SNAPSHOT_DIR : path.join(SNAPSHOT_DIR, 'partners', String(partnerId));
+};
+
+const getSnapshotPath = (name) => path.join(getSnapshotDir(), `${name}.json`);
+
+const getMemorySnapshotKey = (name) => `${getCurrentPartner().partnerId}:${name}`;
+
+const saveSnapshot = (name) => {
+  const snapshot = {
+    name,
+    createdAt: new Date().toISOString(),
+    data: JSON.parse(JSON.stringify(mockData))
+  };
+
+  if (SNAPSHOT_DIR) {
+    writeJsonFile(getSnapshotPath(name), snapshot);
+  } else {
+    memorySnapshots.set(getMemorySnapshotKey(name), snapshot);
+  }
+
+  return snapshot;
+};
+
+const loadSnapshot = (name) => {
+  if (!SNAPSHOT_DIR) {
+    return memorySnapshots.get(getMemorySnapshotKey(name)) || null;
+  }
+
+  const snapshotPath = getSnapshotPath(name);
+  return fs.existsSync(snapshotPath) ? JSON.parse(fs.readFileSync(snapshotPath, 'utf8')) : null;
+};
+
+const listSnapshots = () => {
+  if (!SNAPSHOT_DIR) {
+    const prefix = getMemorySnapshotKey('');
+    return [...memorySnapshots].filter(([key]) => key.startsWith(prefix)).map(([, snapshot]) => snapshot);
+  }
+  if (!fs.existsSync(getSnapshotDir())) {
+    return [];
+  }
+
+  return fs.readdirSync(getSnapshotDir())
+    .filter(file => file.endsWith('.json'))
+    .map(file => loadSnapshot(file.slice(0, -'.json'.length)));
+};
+
+const deleteSnapshot = (name) => {
+  if (!SNAPSHOT_DIR) {
+    return memorySnapshots.delete(getMemorySnapshotKey(name));
+  }
+
+  const snapshotPath = getSnapshotPath(name);
+  if (!fs.existsSync(snapshotPath)) {
+    return false;
+  }
+  fs.unlinkSync(snapshotPath);
+  return true;
+};
+
+// Utility function to standardize API responses
+const createResponse = (data, req = null) => {
   const requestId = req?.headers['c-request-id'] || generateUUID();
   return {
     data,
@@ -157,967 +1393,5096 @@ const createResponse = (data, req = null) => {
   };
 };
 
-// Utility function to create error responses
-const createErrorResponse = (errorCode, errorDescription) => ({
-  errorCode,
-  errorDescription
+// Utility function to create error responses
+const createErrorResponse = (errorCode, errorDescription) => ({
+  errorCode,
+  errorDescription
+});
+
+// Webhooks
+// Registered callbacks receive signed event payloads when operations or customer statuses change
+// Webhooks belong to the partner that registered them and only receive that partner's events
+// A webhook registered with an apiKey only receives events caused by requests made with that key
+const webhookPolicy = definePartnerSetting('webhookPolicy', () => ({
+  maxAttempts: readIntEnv('CHARI_STUB_WEBHOOK_MAX_ATTEMPTS', 5), // Deliveries tried before giving up
+  retryBaseMs: readIntEnv('CHARI_STUB_WEBHOOK_RETRY_BASE_MS', 1000), // Backoff doubles after each failed attempt
+  timeoutMs: readIntEnv('CHARI_STUB_WEBHOOK_TIMEOUT_MS', 5000) // Per-attempt request timeout
+}));
+
+const WEBHOOK_EVENTS = [
+  'customer.status_changed',
+  'transfer.executed',
+  'cash_request.created',
+  'cash_request.executed',
+  'cash_request.cancelled',
+  'cash_request.expired',
+  'bill_payment.executed',
+  'topup.executed',
+  'merchant_payment.executed',
+  'merchant_refund.executed',
+  'card_cashin.executed',
+  'card_cashin.failed',
+  'card_cashin.abandoned'
+];
+
+// Keep the delivery log bounded
+const MAX_WEBHOOK_DELIVERIES = 1000;
+
+const webhooks = new Map();
+const webhookDeliveries = [];
+
+// Utility function to sign a webhook body
+const signWebhookBody = (secret, body) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+// Try to deliver an event, scheduling a retry with exponential backoff on failure
+// Retries run outside any request, so the policy is the one of the partner the delivery belongs to
+const attemptWebhookDelivery = async (delivery, webhook, body) => {
+  const policy = getPartnerSetting('webhookPolicy', delivery.partnerId);
+  const attempt = { attempt: delivery.attempts.length + 1, at: new Date().toISOString() };
+  const startedAt = Date.now();
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Chari-Event': delivery.event,
+        'X-Chari-Delivery': delivery.id,
+        'X-Chari-Timestamp': attempt.at,
+        'X-Chari-Signature': signWebhookBody(webhook.secret, body)
+      },
+      body,
+      signal: AbortSignal.timeout(policy.timeoutMs)
+    });
+    attempt.statusCode = response.status;
+    attempt.success = response.ok;
+    if (!response.ok) {
+      attempt.error = `HTTP ${response.status}`;
+    }
+  } catch (err) {
+    attempt.success = false;
+    attempt.error = err.name === 'TimeoutError' ? `Timed out after ${policy.timeoutMs}ms` : err.message;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  delivery.attempts.push(attempt);
+
+  if (attempt.success) {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = new Date().toISOString();
+    delivery.nextAttemptAt = null;
+    console.log(`[CHARI-STUB] Webhook ${delivery.event} delivered to ${webhook.url}`);
+    return;
+  }
+
+  if (delivery.attempts.length >= policy.maxAttempts) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    console.log(`[CHARI-STUB] Webhook ${delivery.event} to ${webhook.url} failed after ${delivery.attempts.length} attempt(s): ${attempt.error}`);
+    return;
+  }
+
+  const delayMs = policy.retryBaseMs * 2 ** (delivery.attempts.length - 1);
+  delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+  console.log(`[CHARI-STUB] Webhook ${delivery.event} to ${webhook.url} failed (${attempt.error}), retrying in ${delayMs}ms`);
+  setTimeout(() => attemptWebhookDelivery(delivery, webhook, body), delayMs).unref();
+};
+
+// Send an event to every matching webhook of the current partner
+// The API key of the request being handled decides which key-scoped webhooks receive it
+const emitWebhookEvent = (event, data) => {
+  const apiKey = requestContext.getStore()?.apiKey || null;
+  const { partnerId } = getCurrentPartner();
+  const payload = {
+    id: generateUUID(),
+    event,
+    createdAt: new Date().toISOString(),
+    data
+  };
+  const body = JSON.stringify(payload);
+
+  webhooks.forEach(webhook => {
+    if (webhook.partnerId !== partnerId || (webhook.apiKey && webhook.apiKey !== apiKey) || !(webhook.events.includes('*') || webhook.events.includes(event))) {
+      return;
+    }
+
+    const delivery = {
+      id: generateUUID(),
+      webhookId: webhook.id,
+      partnerId,
+      eventId: payload.id,
+      event,
+      url: webhook.url,
+      status: 'pending',
+      createdAt: payload.createdAt,
+      deliveredAt: null,
+      nextAttemptAt: payload.createdAt,
+      payload,
+      attempts: []
+    };
+    webhookDeliveries.push(delivery);
+    if (webhookDeliveries.length > MAX_WEBHOOK_DELIVERIES) {
+      webhookDeliveries.shift();
+    }
+
+    setImmediate(() => attemptWebhookDelivery(delivery, webhook, body));
+  });
+};
+
+// Idempotency
+// Mutating endpoints replay their first response when retried with the same Idempotency-Key
+// (or c-request-id) and body, and refuse the same key with a different body
+const IDEMPOTENCY_TTL_SECONDS = readIntEnv('CHARI_STUB_IDEMPOTENCY_TTL_SECONDS', 86400);
+
+const idempotencyRecords = new Map();
+
+// Forget the current partner's idempotency keys
+const clearIdempotencyRecords = () => {
+  const { partnerId } = getCurrentPartner();
+  idempotencyRecords.forEach((record, scopedKey) => {
+    if (record.partnerId === partnerId) {
+      idempotencyRecords.delete(scopedKey);
+    }
+  });
+};
+
+// Middleware to make a route idempotent
+const idempotent = (req, res, next) => {
+  const key = req.headers['idempotency-key'] || req.headers['c-request-id'];
+  if (!key) {
+    return next();
+  }
+
+  // Keys are scoped to the caller and the route
+  const scopedKey = `${req.headers['x-api-key']}:${req.method}:${req.path}:${key}`;
+  const fingerprint = crypto.createHash('sha256')
+    .update(JSON.stringify({ query: req.query, body: req.body ?? null }))
+    .digest('hex');
+
+  const record = idempotencyRecords.get(scopedKey);
+  if (record && new Date(record.expiresAt) > new Date()) {
+    if (record.fingerprint !== fingerprint) {
+      console.log(`[CHARI-STUB] Idempotency key reused with a different request: ${key}`);
+      return res.status(409).json(createErrorResponse(409, 'Idempotency key already used for a different request'));
+    }
+
+    console.log(`[CHARI-STUB] Replaying response for idempotency key: ${key}`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(record.statusCode).json(record.body);
+  }
+
+  // Capture the response so a retry can replay it - server errors are not stored so they can be retried
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode < 500) {
+      idempotencyRecords.set(scopedKey, {
+        key,
+        partnerId: getCurrentPartner().partnerId,
+        method: req.method,
+        path: req.path,
+        fingerprint,
+        statusCode: res.statusCode,
+        body,
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_SECONDS * 1000).toISOString()
+      });
+    }
+    return json(body);
+  };
+
+  next();
+};
+
+// PIN verification policy - adjustable at runtime through PUT /__admin/pin-policy
+const pinPolicy = definePartnerSetting('pinPolicy', () => ({
+  maxAttempts: readIntEnv('CHARI_STUB_PIN_MAX_ATTEMPTS', 3), // Failed attempts before a lock
+  lockSeconds: readIntEnv('CHARI_STUB_PIN_LOCK_SECONDS', 1800), // Duration of a temporary lock
+  maxTemporaryLocks: readIntEnv('CHARI_STUB_PIN_MAX_TEMPORARY_LOCKS', 1) // Temporary locks before a permanent one
+}));
+
+// Utility function to change a customer's status, keeping the rest of their entry
+// Notifies webhooks when the status actually changes
+const setCustomerStatus = (phoneNumber, status, fields = {}) => {
+  const previousStatus = mockData.customers[phoneNumber]?.status ?? 0;
+  mockData.customers[phoneNumber] = {
+    ...mockData.customers[phoneNumber],
+    ...fields,
+    status,
+    message: CUSTOMER_STATUS_MESSAGES[status]
+  };
+
+  if (previousStatus !== status) {
+    emitWebhookEvent('customer.status_changed', {
+      phoneNumber,
+      previousStatus,
+      status,
+      message: CUSTOMER_STATUS_MESSAGES[status]
+    });
+  }
+  return mockData.customers[phoneNumber];
+};
+
+// Move a temporarily locked customer back to active once their lock has expired
+// Customers seeded as locked without a lockedUntil date stay locked
+const releaseExpiredLock = (phoneNumber) => {
+  const customer = mockData.customers[phoneNumber];
+  if (customer?.status === 4 && customer.lockedUntil && new Date(customer.lockedUntil) <= new Date()) {
+    console.log(`[CHARI-STUB] Temporary lock expired for: ${phoneNumber}`);
+    setCustomerStatus(phoneNumber, 3, { failedPinAttempts: 0, lockedUntil: null });
+  }
+  return mockData.customers[phoneNumber];
+};
+
+// Check a PIN against the stored one, counting failures and locking the customer when they run out
+// Returns { valid, remainingAttempts, status }
+const verifyCustomerPin = (phoneNumber, pin) => {
+  const customer = mockData.customers[phoneNumber];
+
+  if (mockData.pins[phoneNumber] !== undefined && mockData.pins[phoneNumber] === pin) {
+    setCustomerStatus(phoneNumber, customer.status, { failedPinAttempts: 0 });
+    return { valid: true, remainingAttempts: pinPolicy.maxAttempts, status: customer.status };
+  }
+
+  const failedPinAttempts = (customer.failedPinAttempts || 0) + 1;
+  const remainingAttempts = Math.max(pinPolicy.maxAttempts - failedPinAttempts, 0);
+
+  if (remainingAttempts > 0) {
+    setCustomerStatus(phoneNumber, customer.status, { failedPinAttempts });
+    return { valid: false, remainingAttempts, status: customer.status };
+  }
+
+  const temporaryLocks = (customer.temporaryLocks || 0) + 1;
+  if (temporaryLocks > pinPolicy.maxTemporaryLocks) {
+    console.log(`[CHARI-STUB] Customer permanently locked: ${phoneNumber}`);
+    setCustomerStatus(phoneNumber, 5, { failedPinAttempts, lockedUntil: null });
+  } else {
+    const lockedUntil = new Date(Date.now() + pinPolicy.lockSeconds * 1000).toISOString();
+    console.log(`[CHARI-STUB] Customer temporarily locked until ${lockedUntil}: ${phoneNumber}`);
+    setCustomerStatus(phoneNumber, 4, { failedPinAttempts, temporaryLocks, lockedUntil });
+  }
+
+  return { valid: false, remainingAttempts: 0, status: mockData.customers[phoneNumber].status };
+};
+
+// Utility function to build the error response for a locked customer, or null if not locked
+const getLockedCustomerError = (customer) => {
+  if (customer.status === 4) {
+    const until = customer.lockedUntil ? ` until ${customer.lockedUntil}` : '';
+    return createErrorResponse(403, `Customer temporarily locked${until}`);
+  }
+  if (customer.status === 5) {
+    return createErrorResponse(403, 'Customer permanently locked');
+  }
+  return null;
+};
+
+// OTP policy - adjustable at runtime through PUT /__admin/otp-policy
+const otpPolicy = definePartnerSetting('otpPolicy', () => ({
+  ttlSeconds: readIntEnv('CHARI_STUB_OTP_TTL_SECONDS', 300), // How long a code stays valid
+  maxAttempts: readIntEnv('CHARI_STUB_OTP_MAX_ATTEMPTS', 3), // Wrong codes before the code is invalidated
+  resendCooldownSeconds: readIntEnv('CHARI_STUB_OTP_RESEND_COOLDOWN_SECONDS', 60), // Minimum delay between two codes
+  maxResends: readIntEnv('CHARI_STUB_OTP_MAX_RESENDS', 5) // Resends allowed per registration
+}));
+
+// Record an SMS in the outbox instead of sending it
+const sendSms = (phoneNumber, type, message, metadata = {}) => {
+  const sms = {
+    id: (smsOutbox.at(-1)?.id || 0) + 1,
+    partnerId: getCurrentPartner().partnerId,
+    phoneNumber,
+    type,
+    message,
+    ...metadata,
+    sentAt: new Date().toISOString()
+  };
+  smsOutbox.push(sms);
+  console.log(`[CHARI-STUB] SMS to ${phoneNumber}: ${message}`);
+  return sms;
+};
+
+// Issue a new confirmation code for a phone number and "send" it by SMS
+const issueOtp = (phoneNumber, resends = 0) => {
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const issuedAt = new Date();
+
+  mockData.otps[phoneNumber] = {
+    code,
+    issuedAt: issuedAt.toISOString(),
+    expiresAt: new Date(issuedAt.getTime() + otpPolicy.ttlSeconds * 1000).toISOString(),
+    attempts: 0,
+    resends
+  };
+
+  sendSms(phoneNumber, 'OTP', `Your Chari confirmation code is ${code}`, { code });
+  return mockData.otps[phoneNumber];
+};
+
+// Fee engine
+// The schedule maps an operation kind to rules per wallet type, with "default" used for any other wallet
+// Rule types:
+//   { type: 'fixed', amount }
+//   { type: 'percentage', rate, min, max }         - rate in percent, min/max optional
+//   { type: 'tiered', tiers: [{ upTo, ...rule }] } - first tier whose upTo >= amount (null = no limit)
+// Any rule may also carry min/max caps applied to the computed fee
+const DEFAULT_FEE_SCHEDULE = {
+  CASHIN_CARD: {
+    default: { type: 'percentage', rate: 1.5, min: 2, max: 50 }
+  },
+  CASHIN: {
+    default: { type: 'fixed', amount: 0 }
+  },
+  CASHOUT: {
+    default: {
+      type: 'tiered',
+      tiers: [
+        { upTo: 500, type: 'fixed', amount: 5 },
+        { upTo: 2000, type: 'fixed', amount: 10 },
+        { upTo: null, type: 'percentage', rate: 0.5, max: 50 }
+      ]
+    }
+  },
+  TRANSFER: {
+    default: {
+      type: 'tiered',
+      tiers: [
+        { upTo: 200, type: 'fixed', amount: 0 },
+        { upTo: 1000, type: 'fixed', amount: 2.5 },
+        { upTo: null, type: 'percentage', rate: 0.5, max: 25 }
+      ]
+    }
+  },
+  BILL_PAYMENT: {
+    default: { type: 'fixed', amount: 0 }
+  },
+  TOPUP: {
+    default: { type: 'fixed', amount: 0 }
+  },
+  MERCHANT_PAYMENT: {
+    default: { type: 'fixed', amount: 0 }
+  }
+};
+
+const FEES_FILE = process.env.CHARI_STUB_FEES_FILE || null;
+
+// Validate a fee rule, returning an error description or null
+const validateFeeRule = (rule) => {
+  if (!rule || typeof rule !== 'object') {
+    return 'rule must be an object';
+  }
+  for (const cap of ['min', 'max']) {
+    if (rule[cap] !== undefined && (typeof rule[cap] !== 'number' || rule[cap] < 0)) {
+      return `${cap} must be a non-negative number`;
+    }
+  }
+
+  switch (rule.type) {
+    case 'fixed':
+      return typeof rule.amount === 'number' && rule.amount >= 0 ? null : 'fixed rule requires a non-negative amount';
+    case 'percentage':
+      return typeof rule.rate === 'number' && rule.rate >= 0 ? null : 'percentage rule requires a non-negative rate';
+    case 'tiered': {
+      if (!Array.isArray(rule.tiers) || rule.tiers.length === 0) {
+        return 'tiered rule requires a non-empty tiers array';
+      }
+      for (const tier of rule.tiers) {
+        if (tier.upTo !== null && typeof tier.upTo !== 'number') {
+          return 'each tier requires a numeric upTo, or null for the last tier';
+        }
+        if (tier.type === 'tiered') {
+          return 'tiers cannot be nested';
+        }
+        const error = validateFeeRule(tier);
+        if (error) {
+          return error;
+        }
+      }
+      return null;
+    }
+    default:
+      return 'rule type must be fixed, percentage or tiered';
+  }
+};
+
+// Validate a (partial) fee schedule, returning an error description or null
+const validateFeeSchedule = (schedule) => {
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return 'Fee schedule must be an object keyed by operation kind';
+  }
+  for (const [kind, rules] of Object.entries(schedule)) {
+    if (!rules || typeof rules !== 'object') {
+      return `${kind} must map wallet types to rules`;
+    }
+    for (const [walletType, rule] of Object.entries(rules)) {
+      const error = validateFeeRule(rule);
+      if (error) {
+        return `${kind}.${walletType}: ${error}`;
+      }
+    }
+  }
+  return null;
+};
+
+// Load the fee schedule from CHARI_STUB_FEES_FILE, merged over the defaults per operation kind
+const loadFeeSchedule = () => {
+  const schedule = JSON.parse(JSON.stringify(DEFAULT_FEE_SCHEDULE));
+  if (!FEES_FILE) {
+    return schedule;
+  }
+
+  try {
+    const fileSchedule = JSON.parse(fs.readFileSync(FEES_FILE, 'utf8'));
+    const error = validateFeeSchedule(fileSchedule);
+    if (error) {
+      throw new Error(error);
+    }
+    console.log(`[CHARI-STUB] Fee schedule loaded from ${FEES_FILE}`);
+    return { ...schedule, ...fileSchedule };
+  } catch (err) {
+    console.error(`[CHARI-STUB] Failed to load fee schedule from ${FEES_FILE}, using defaults:`, err.message);
+    return schedule;
+  }
+};
+
+const feeSchedule = definePartnerSetting('feeSchedule', loadFeeSchedule);
+
+// Apply a single rule to an amount
+const applyFeeRule = (rule, amount) => {
+  let fee;
+  if (rule.type === 'tiered') {
+    const tier = rule.tiers.find(t => t.upTo === null || amount <= t.upTo) || rule.tiers[rule.tiers.length - 1];
+    fee = applyFeeRule(tier, amount);
+  } else if (rule.type === 'percentage') {
+    fee = amount * rule.rate / 100;
+  } else {
+    fee = rule.amount;
+  }
+
+  if (rule.min !== undefined) fee = Math.max(fee, rule.min);
+  if (rule.max !== undefined) fee = Math.min(fee, rule.max);
+  return fee;
+};
+
+// Utility function to compute the fees for an operation kind, amount and wallet type
+const calculateFees = (kind, amount, walletType = 'P') => {
+  const rules = feeSchedule[kind];
+  const rule = rules && (rules[walletType] || rules.default);
+  if (!rule) {
+    return 0;
+  }
+  return parseFloat(applyFeeRule(rule, parseFloat(amount) || 0).toFixed(2));
+};
+
+// Utility function to get a customer's wallet type
+const getWalletType = (phoneNumber) => mockData.registrations[phoneNumber]?.walletType || 'P';
+
+// Wallet limits
+// Limits per wallet type, with "default" used for any other wallet - null means no limit:
+//   maxTransactionAmount          - amount of a single operation
+//   dailyAmount, monthlyAmount    - total amount of the operations of the current UTC day / month
+//   dailyCount, monthlyCount      - number of operations of the current UTC day / month
+//   maxBalance                    - balance the wallet may reach
+// Every operation a customer makes counts towards their usage; received transfers only count towards maxBalance
+const DEFAULT_WALLET_LIMITS = {
+  P: { maxTransactionAmount: 5000, dailyAmount: 10000, monthlyAmount: 30000, dailyCount: 20, monthlyCount: 200, maxBalance: 20000 },
+  E: { maxTransactionAmount: 50000, dailyAmount: 100000, monthlyAmount: 1000000, dailyCount: 200, monthlyCount: 5000, maxBalance: 500000 },
+  default: { maxTransactionAmount: 5000, dailyAmount: 10000, monthlyAmount: 30000, dailyCount: 20, monthlyCount: 200, maxBalance: 20000 }
+};
+
+const WALLET_LIMIT_FIELDS = ['maxTransactionAmount', 'dailyAmount', 'monthlyAmount', 'dailyCount', 'monthlyCount', 'maxBalance'];
+
+// Transaction types a customer receives rather than makes
+const RECEIVED_TRANSACTION_TYPES = ['TRANSFER_IN', 'MERCHANT_REFUND'];
+
+const LIMITS_FILE = process.env.CHARI_STUB_LIMITS_FILE || null;
+
+// Validate (partial) wallet limits, returning an error description or null
+const validateWalletLimits = (limits) => {
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+    return 'Wallet limits must be an object keyed by wallet type';
+  }
+  for (const [walletType, walletLimits] of Object.entries(limits)) {
+    if (!walletLimits || typeof walletLimits !== 'object' || Array.isArray(walletLimits)) {
+      return `${walletType} must map limit names to values`;
+    }
+    for (const [field, value] of Object.entries(walletLimits)) {
+      if (!WALLET_LIMIT_FIELDS.includes(field)) {
+        return `${walletType}.${field} is not a known limit, expected one of ${WALLET_LIMIT_FIELDS.join(', ')}`;
+      }
+      const isCount = field.endsWith('Count');
+      if (value !== null && (typeof value !== 'number' || value < 0 || (isCount && !Number.isInteger(value)))) {
+        return `${walletType}.${field} must be a non-negative ${isCount ? 'integer' : 'number'} or null`;
+      }
+    }
+  }
+  return null;
+};
+
+// Merge limits over existing ones per wallet type - a wallet type given only overrides the limits it lists
+const mergeWalletLimits = (limits, updates) => {
+  const merged = { ...limits };
+  Object.entries(updates).forEach(([walletType, walletLimits]) => {
+    merged[walletType] = { ...(merged[walletType] || merged.default), ...walletLimits };
+  });
+  return merged;
+};
+
+// Load the wallet limits from CHARI_STUB_LIMITS_FILE, merged over the defaults per wallet type
+const loadWalletLimits = () => {
+  const limits = JSON.parse(JSON.stringify(DEFAULT_WALLET_LIMITS));
+  if (!LIMITS_FILE) {
+    return limits;
+  }
+
+  try {
+    const fileLimits = JSON.parse(fs.readFileSync(LIMITS_FILE, 'utf8'));
+    const error = validateWalletLimits(fileLimits);
+    if (error) {
+      throw new Error(error);
+    }
+    console.log(`[CHARI-STUB] Wallet limits loaded from ${LIMITS_FILE}`);
+    return mergeWalletLimits(limits, fileLimits);
+  } catch (err) {
+    console.error(`[CHARI-STUB] Failed to load wallet limits from ${LIMITS_FILE}, using defaults:`, err.message);
+    return limits;
+  }
+};
+
+const walletLimits = definePartnerSetting('walletLimits', loadWalletLimits);
+
+// Utility function to get the limits of a customer's wallet
+const getWalletLimits = (phoneNumber) => {
+  const walletType = getWalletType(phoneNumber);
+  return { ...walletLimits.default, ...walletLimits[walletType] };
+};
+
+// Utility function to sum up the operations a customer made since the start of the current UTC day and month
+const getWalletUsage = (phoneNumber) => {
+  const now = new Date();
+  const dayStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const monthStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+  const usage = {
+    dayStart: new Date(dayStart).toISOString(),
+    monthStart: new Date(monthStart).toISOString(),
+    dailyAmount: 0,
+    dailyCount: 0,
+    monthlyAmount: 0,
+    monthlyCount: 0
+  };
+
+  (mockData.transactions[phoneNumber] || [])
+    .filter(tx => !RECEIVED_TRANSACTION_TYPES.includes(tx.type) && Date.parse(tx.date) >= monthStart)
+    .forEach(tx => {
+      usage.monthlyAmount += Math.abs(tx.amount);
+      usage.monthlyCount += 1;
+      if (Date.parse(tx.date) >= dayStart) {
+        usage.dailyAmount += Math.abs(tx.amount);
+        usage.dailyCount += 1;
+      }
+    });
+
+  usage.dailyAmount = parseFloat(usage.dailyAmount.toFixed(2));
+  usage.monthlyAmount = parseFloat(usage.monthlyAmount.toFixed(2));
+  return usage;
+};
+
+// Utility function to check an operation a customer makes against their wallet limits
+// amount counts towards the usage limits, credit is what the operation adds to the balance
+// Returns { status, error, limitCode, limit, used } for the first limit exceeded, or null
+const checkWalletLimits = (phoneNumber, amount, credit = 0) => {
+  const limits = getWalletLimits(phoneNumber);
+  const usage = getWalletUsage(phoneNumber);
+  const exceeded = (limitCode, error, limit, used) => ({ status: 400, error, limitCode, limit, used });
+
+  if (limits.maxTransactionAmount !== null && amount > limits.maxTransactionAmount) {
+    return exceeded('TRANSACTION_AMOUNT_LIMIT_EXCEEDED', `Amount exceeds the per-transaction limit of ${limits.maxTransactionAmount} MAD`, limits.maxTransactionAmount, amount);
+  }
+  if (limits.dailyCount !== null && usage.dailyCount + 1 > limits.dailyCount) {
+    return exceeded('DAILY_COUNT_LIMIT_EXCEEDED', `Daily limit of ${limits.dailyCount} operations reached`, limits.dailyCount, usage.dailyCount);
+  }
+  if (limits.monthlyCount !== null && usage.monthlyCount + 1 > limits.monthlyCount) {
+    return exceeded('MONTHLY_COUNT_LIMIT_EXCEEDED', `Monthly limit of ${limits.monthlyCount} operations reached`, limits.monthlyCount, usage.monthlyCount);
+  }
+  if (limits.dailyAmount !== null && usage.dailyAmount + amount > limits.dailyAmount) {
+    return exceeded('DAILY_AMOUNT_LIMIT_EXCEEDED', `Amount exceeds the daily limit of ${limits.dailyAmount} MAD`, limits.dailyAmount, usage.dailyAmount);
+  }
+  if (limits.monthlyAmount !== null && usage.monthlyAmount + amount > limits.monthlyAmount) {
+    return exceeded('MONTHLY_AMOUNT_LIMIT_EXCEEDED', `Amount exceeds the monthly limit of ${limits.monthlyAmount} MAD`, limits.monthlyAmount, usage.monthlyAmount);
+  }
+  if (credit > 0 && limits.maxBalance !== null && getBalance(phoneNumber) + credit > limits.maxBalance) {
+    return exceeded('BALANCE_LIMIT_EXCEEDED', `Balance would exceed the wallet limit of ${limits.maxBalance} MAD`, limits.maxBalance, getBalance(phoneNumber));
+  }
+  return null;
+};
+
+// Utility function to check that crediting a recipient keeps them under their maximum balance
+// Returns the same shape as checkWalletLimits, or null
+const checkRecipientBalanceLimit = (phoneNumber, credit) => {
+  const { maxBalance } = getWalletLimits(phoneNumber);
+  if (maxBalance !== null && getBalance(phoneNumber) + credit > maxBalance) {
+    return { status: 400, error: 'Recipient balance would exceed their wallet limit', limitCode: 'RECIPIENT_BALANCE_LIMIT_EXCEEDED', limit: maxBalance, used: getBalance(phoneNumber) };
+  }
+  return null;
+};
+
+// Utility function to create the error response for an exceeded limit
+const createLimitErrorResponse = ({ status, error, limitCode, limit, used }) => ({
+  ...createErrorResponse(status, error),
+  limitCode,
+  limit,
+  used
+});
+
+// Utility function to convert transaction type to operation type code
+const getOperationType = (transactionType) => {
+  const typeMap = {
+    'CASHIN': 1,
+    'CASHOUT': 2,
+    'TRANSFER_IN': 3,
+    'TRANSFER_OUT': 3,
+    'BILL_PAYMENT': 4,
+    'TOPUP': 5,
+    'MERCHANT_PAYMENT': 6,
+    'MERCHANT_REFUND': 6
+  };
+  return typeMap[transactionType] || 0;
+};
+
+// Utility function to convert transaction status to numeric code
+const getTransactionStatus = (status) => {
+  return status === 'COMPLETED' ? 2 : 1; // 1 = pending, 2 = completed
+};
+
+// Utility function to generate transaction reference
+const generateTransactionReference = (tx, operationType) => {
+  const date = new Date(tx.date);
+  const year = String(date.getFullYear()).slice(-2);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  const hour = String(date.getHours()).padStart(2, '0');
+  const txId = tx.id.replace('TXN_', '');
+
+  // Format: T{opType}{opType}-{YYMMDD}{HH}-{txId}
+  const opTypeStr = String(operationType).padStart(2, '0');
+  return `T${opTypeStr}${opTypeStr}-${year}${month}${day}${hour}-${txId}`;
+};
+
+// Utility function to extract phone numbers from transaction description
+const extractPhoneNumbers = (tx, customerPhone) => {
+  let sender = null;
+  let receiver = null;
+  let beneficiary = null;
+
+  if (tx.type === 'TRANSFER_OUT') {
+    sender = customerPhone;
+    // Use the recorded counterparty, or try to extract receiver from description
+    const phoneMatch = tx.description.match(/\+212\d{9}/);
+    receiver = tx.counterparty || (phoneMatch ? phoneMatch[0] : null);
+    beneficiary = tx.beneficiaryName || tx.description;
+  } else if (tx.type === 'TRANSFER_IN') {
+    receiver = customerPhone;
+    // Use the recorded counterparty, or try to extract sender from description
+    const phoneMatch = tx.description.match(/\+212\d{9}/);
+    sender = tx.counterparty || (phoneMatch ? phoneMatch[0] : null);
+    beneficiary = tx.beneficiaryName || tx.description;
+  } else if (tx.type === 'CASHIN') {
+    receiver = customerPhone;
+    sender = customerPhone;
+  } else if (tx.type === 'CASHOUT') {
+    sender = customerPhone;
+    receiver = customerPhone;
+  } else if (tx.type === 'MERCHANT_PAYMENT') {
+    // The merchant receives the payment
+    sender = customerPhone;
+    receiver = tx.counterparty || null;
+    beneficiary = tx.beneficiaryName || null;
+  } else if (tx.type === 'MERCHANT_REFUND') {
+    sender = tx.counterparty || null;
+    receiver = customerPhone;
+    beneficiary = tx.beneficiaryName || null;
+  } else if (tx.type === 'TOPUP') {
+    // The topped-up number receives the airtime, the operator is the beneficiary
+    sender = customerPhone;
+    receiver = tx.counterparty || null;
+    beneficiary = tx.beneficiaryName || null;
+  } else {
+    // BILL_PAYMENT - the biller is the beneficiary
+    sender = customerPhone;
+    receiver = null;
+    beneficiary = tx.beneficiaryName || null;
+  }
+
+  return { sender, receiver, beneficiary };
+};
+
+// Utility function to convert transaction to operation format
+const transactionToOperation = (tx, phoneNumber, operationId = null) => {
+  const opType = getOperationType(tx.type);
+  const amount = Math.abs(tx.amount);
+  const { sender, receiver, beneficiary } = extractPhoneNumbers(tx, phoneNumber);
+
+  return {
+    operationId: operationId,
+    transactionId: parseInt(tx.id.replace('TXN_', '')),
+    transactionReference: tx.reference || generateTransactionReference(tx, opType),
+    amount: amount,
+    reason: tx.description || null,
+    operationType: opType,
+    transactionDate: tx.date,
+    sens: tx.amount > 0 ? 1 : 2, // 1 = credit, 2 = debit
+    transactionStatus: getTransactionStatus(tx.status),
+    feesAmount: tx.feesAmount || 0,
+    totalAmount: parseFloat((amount + (tx.feesAmount || 0)).toFixed(2)),
+    transactionFeesId: null,
+    sender: sender,
+    receiver: receiver,
+    beneficiary: beneficiary,
+    // Legacy fields for backward compatibility
+    accountNumber: phoneNumber,
+    beneficiaryName: beneficiary || '',
+    currency: tx.currency || 'MAD',
+    balanceAfter: tx.balanceAfter
+  };
+};
+
+// Utility function to read a repeatable or comma-separated query parameter as upper-cased values
+const parseListParam = (value) => (Array.isArray(value) ? value : [value])
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim().toUpperCase())
+  .filter(Boolean);
+
+// Utility function to read a date filter - a date-only toDate covers the whole day
+// Returns the bound in milliseconds, or NaN when the value is not a date
+const parseDateFilter = (value, endOfDay = false) => {
+  const time = Date.parse(value);
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return time + 24 * 60 * 60 * 1000 - 1;
+  }
+  return time;
+};
+
+// Filter and sort a customer's transactions with the listing query parameters:
+// operationType (or type) and transactionStatus take numeric codes or type/status names, fromDate/toDate,
+// minAmount/maxAmount (absolute amounts), sens (1/credit, 2/debit), search (reason, beneficiary, counterparty
+// or reference) and sortBy (date, amount) with sortOrder (asc, desc) - transactions stay newest first when unsorted
+// Returns { error } or { transactions }
+const filterTransactions = (transactions, query) => {
+  const { operationType, type, transactionStatus, fromDate, toDate, minAmount, maxAmount, sens, search, sortBy, sortOrder } = query;
+  let filtered = transactions;
+
+  const types = parseListParam([operationType, type].filter(value => value !== undefined).flat());
+  if (types.length > 0) {
+    const unknownType = types.find(value => !/^\d+$/.test(value) && !TRANSACTION_TYPES.includes(value));
+    if (unknownType) {
+      return { error: `Unknown operation type: ${unknownType}` };
+    }
+    filtered = filtered.filter(tx => types.some(value => (/^\d+$/.test(value) ? getOperationType(tx.type) === Number(value) : tx.type === value)));
+  }
+
+  if (transactionStatus !== undefined) {
+    const statuses = parseListParam(transactionStatus);
+    filtered = filtered.filter(tx => statuses.some(value => (/^\d+$/.test(value)
+      ? getTransactionStatus(tx.status) === Number(value)
+      : String(tx.status).toUpperCase() === value)));
+  }
+
+  const from = fromDate === undefined ? null : parseDateFilter(String(fromDate));
+  const to = toDate === undefined ? null : parseDateFilter(String(toDate), true);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return { error: 'fromDate and toDate must be ISO 8601 dates' };
+  }
+  if (from !== null) {
+    filtered = filtered.filter(tx => Date.parse(tx.date) >= from);
+  }
+  if (to !== null) {
+    filtered = filtered.filter(tx => Date.parse(tx.date) <= to);
+  }
+
+  const min = minAmount === undefined ? null : Number(minAmount);
+  const max = maxAmount === undefined ? null : Number(maxAmount);
+  if (Number.isNaN(min) || Number.isNaN(max)) {
+    return { error: 'minAmount and maxAmount must be numbers' };
+  }
+  if (min !== null) {
+    filtered = filtered.filter(tx => Math.abs(tx.amount) >= min);
+  }
+  if (max !== null) {
+    filtered = filtered.filter(tx => Math.abs(tx.amount) <= max);
+  }
+
+  if (sens !== undefined) {
+    const direction = { 1: 1, CREDIT: 1, 2: 2, DEBIT: 2 }[String(sens).toUpperCase()];
+    if (!direction) {
+      return { error: 'sens must be 1 (credit) or 2 (debit)' };
+    }
+    filtered = filtered.filter(tx => (tx.amount > 0 ? 1 : 2) === direction);
+  }
+
+  if (search) {
+    const text = String(search).toLowerCase();
+    filtered = filtered.filter(tx => [tx.description, tx.beneficiaryName, tx.counterparty, tx.reference]
+      .some(field => field && String(field).toLowerCase().includes(text)));
+  }
+
+  if (sortBy !== undefined || sortOrder !== undefined) {
+    const field = sortBy || 'date';
+    const order = sortOrder || 'desc';
+    if (!['date', 'amount'].includes(field)) {
+      return { error: 'sortBy must be date or amount' };
+    }
+    if (!['asc', 'desc'].includes(order)) {
+      return { error: 'sortOrder must be asc or desc' };
+    }
+
+    const getValue = tx => (field === 'date' ? Date.parse(tx.date) : Math.abs(tx.amount));
+    filtered = [...filtered].sort((a, b) => (order === 'asc' ? getValue(a) - getValue(b) : getValue(b) - getValue(a)));
+  }
+
+  return { transactions: filtered };
+};
+
+// Utility function to get the next transaction id for a customer (TXN_001, TXN_002, ...)
+const getNextTransactionId = (phoneNumber) => {
+  const transactions = mockData.transactions[phoneNumber] || [];
+  const lastId = transactions.reduce((max, tx) => Math.max(max, parseInt(tx.id.replace('TXN_', '')) || 0), 0);
+  return `TXN_${String(lastId + 1).padStart(3, '0')}`;
+};
+
+// Utility function to get a customer's current balance - wallets without a balance hold 0
+const getBalance = (phoneNumber) => mockData.balances[phoneNumber] ?? 0;
+
+// Utility function to get how much a ledger entry moves the balance - fees come out of the wallet,
+// except card cash-in fees (feesPaidByCard), which are charged to the card on top of the amount
+const getTransactionNetChange = (tx) => tx.amount - (tx.feesPaidByCard ? 0 : tx.feesAmount || 0);
+
+// Utility function to post a ledger entry to a customer's history, newest first
+// This is the only way routes change a balance, so the current balance always equals the newest balanceAfter
+const recordTransaction = (phoneNumber, entry) => {
+  const amount = parseFloat(entry.amount.toFixed(2));
+  const balanceAfter = parseFloat((getBalance(phoneNumber) + getTransactionNetChange({ ...entry, amount })).toFixed(2));
+  mockData.balances[phoneNumber] = balanceAfter;
+
+  const tx = {
+    id: getNextTransactionId(phoneNumber),
+    type: entry.type,
+    amount,
+    currency: 'MAD',
+    date: entry.date || new Date().toISOString(),
+    description: entry.description,
+    status: entry.status || 'COMPLETED',
+    balanceAfter,
+    ...(entry.feesAmount ? { feesAmount: entry.feesAmount } : {}),
+    ...(entry.feesAmount && entry.feesPaidByCard ? { feesPaidByCard: true } : {}),
+    ...(entry.reference ? { reference: entry.reference } : {}),
+    ...(entry.counterparty ? { counterparty: entry.counterparty } : {}),
+    ...(entry.beneficiaryName ? { beneficiaryName: entry.beneficiaryName } : {})
+  };
+
+  mockData.transactions[phoneNumber] = [tx, ...(mockData.transactions[phoneNumber] || [])];
+  return tx;
+};
+
+// Utility function to get a customer's display name, falling back to their phone number
+const getCustomerName = (phoneNumber) => {
+  const registration = mockData.registrations[phoneNumber];
+  return registration ? `${registration.firstName} ${registration.lastName}` : phoneNumber;
+};
+
+// Utility function to resolve the recipient of a transfer from recipientPhoneNumber and/or beneficiaryId
+// Returns { recipientPhoneNumber, beneficiary } or { status, error }
+const resolveTransferRecipient = (customerPhoneNumber, recipientPhoneNumber, beneficiaryId) => {
+  if (beneficiaryId === undefined || beneficiaryId === null) {
+    return { recipientPhoneNumber, beneficiary: null };
+  }
+
+  const beneficiary = (mockData.beneficiaries[customerPhoneNumber] || []).find(b => b.id === parseInt(beneficiaryId));
+  if (!beneficiary) {
+    return { status: 404, error: 'Beneficiary not found' };
+  }
+  if (!beneficiary.phoneNumber) {
+    return { status: 400, error: 'Beneficiary has no wallet phone number' };
+  }
+  if (recipientPhoneNumber && recipientPhoneNumber !== beneficiary.phoneNumber) {
+    return { status: 400, error: 'recipientPhoneNumber does not match the beneficiary' };
+  }
+
+  return { recipientPhoneNumber: beneficiary.phoneNumber, beneficiary };
+};
+
+// Utility function to check both parties of a transfer
+// Returns { status, error } describing the first problem found, or null when the transfer can proceed
+const validateTransferParties = (customerPhoneNumber, recipientPhoneNumber) => {
+  const senderStatus = mockData.customers[customerPhoneNumber];
+  if (!senderStatus || senderStatus.status < 3) {
+    return { status: 400, error: 'Sender not found or not activated' };
+  }
+  if (senderStatus.status === 5) {
+    return { status: 403, error: 'Sender permanently locked' };
+  }
+
+  if (customerPhoneNumber === recipientPhoneNumber) {
+    return { status: 400, error: 'Cannot transfer to the same wallet' };
+  }
+
+  const recipientStatus = mockData.customers[recipientPhoneNumber];
+  if (!recipientStatus || recipientStatus.status === 0) {
+    return { status: 404, error: 'Recipient not found' };
+  }
+  if (recipientStatus.status < 3) {
+    return { status: 400, error: 'Recipient wallet not activated' };
+  }
+  if (recipientStatus.status === 5) {
+    return { status: 400, error: 'Recipient wallet permanently locked' };
+  }
+
+  return null;
+};
+
+// OpenAPI request validation
+// Requests to routes described in openapi.json are checked against their parameters and body schema
+// before reaching the handler; every violation is reported in a single 400 response
+const openApiSpec = JSON.parse(fs.readFileSync(path.join(__dirname, 'openapi.json'), 'utf8'));
+
+// Resolve a local $ref such as #/components/schemas/PhoneNumber or #/components/parameters/CRequestId
+const resolveRef = (schema) => {
+  if (!schema?.$ref) {
+    return schema;
+  }
+  return schema.$ref.replace('#/', '').split('/').reduce((node, key) => node[key], openApiSpec);
+};
+
+const getJsonType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+// Validate a value against the subset of JSON Schema used by openapi.json, collecting violations
+const validateAgainstSchema = (rawSchema, value, location, valuePath, violations) => {
+  const schema = resolveRef(rawSchema);
+  const at = valuePath || '(root)';
+  const violation = (message) => violations.push({ in: location, path: at, message });
+
+  if (value === null) {
+    if (!schema.nullable) violation('must not be null');
+    return;
+  }
+
+  (schema.allOf || []).forEach(subSchema => validateAgainstSchema(subSchema, value, location, valuePath, violations));
+  if (schema.anyOf && !schema.anyOf.some(subSchema => {
+    const subViolations = [];
+    validateAgainstSchema(subSchema, value, location, valuePath, subViolations);
+    return subViolations.length === 0;
+  })) {
+    const alternatives = schema.anyOf.map(resolveRef);
+    violation(alternatives.every(alternative => alternative.required && Object.keys(alternative).length === 1)
+      ? `must include one of: ${alternatives.map(alternative => alternative.required.join(' + ')).join(', ')}`
+      : 'must match at least one of the allowed schemas');
+  }
+
+  if (schema.type) {
+    const actualType = getJsonType(value);
+    const matches = actualType === schema.type || (schema.type === 'number' && actualType === 'integer');
+    if (!matches) {
+      violation(`must be of type ${schema.type}, got ${actualType}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    violation(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && (schema.exclusiveMinimum ? value <= schema.minimum : value < schema.minimum)) {
+      violation(`must be ${schema.exclusiveMinimum ? 'greater than' : 'at least'} ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      violation(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      violation(`must be at least ${schema.minLength} character(s) long`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      violation(`must be at most ${schema.maxLength} character(s) long`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      violation(`must match pattern ${schema.pattern}`);
+    }
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      violation('must be an ISO 8601 date-time');
+    }
+    if (schema.format === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      violation('must be a date (YYYY-MM-DD)');
+    }
+    if (schema.format === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+      violation('must be an email address');
+    }
+    if (schema.format === 'uri' && !URL.canParse(value)) {
+      violation('must be an absolute URL');
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      violation(`must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateAgainstSchema(schema.items, item, location, `${at}[${index}]`, violations));
+    }
+  }
+
+  if (getJsonType(value) === 'object') {
+    (schema.required || []).forEach(property => {
+      if (value[property] === undefined) {
+        violations.push({ in: location, path: valuePath ? `${valuePath}.${property}` : property, message: 'is required' });
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([property, propertySchema]) => {
+      if (value[property] !== undefined) {
+        validateAgainstSchema(propertySchema, value[property], location, valuePath ? `${valuePath}.${property}` : property, violations);
+      }
+    });
+  }
+};
+
+// Convert a query, path or header string to the type its schema expects, leaving it as is when it can't be converted
+const coerceParameter = (rawSchema, value) => {
+  const schema = resolveRef(rawSchema);
+  const type = schema.type || resolveRef(schema.allOf?.[0])?.type;
+
+  if (type === 'array') {
+    return (Array.isArray(value) ? value : [value]).map(item => coerceParameter(schema.items || {}, item));
+  }
+  if (Array.isArray(value)) {
+    return value;
+  }
+  if ((type === 'integer' && /^-?\d+$/.test(value)) || (type === 'number' && value.trim() !== '' && !Number.isNaN(Number(value)))) {
+    return Number(value);
+  }
+  if (type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
+
+// Compile the spec paths into matchers, literal paths before templated ones
+const openApiRoutes = Object.entries(openApiSpec.paths)
+  .flatMap(([specPath, methods]) => Object.entries(methods).map(([method, operation]) => ({
+    method: method.toUpperCase(),
+    specPath,
+    pattern: new RegExp(`^${specPath.replace(/\{(\w+)\}/g, '(?<$1>[^/]+)')}$`),
+    templated: specPath.includes('{'),
+    operation
+  })))
+  .sort((a, b) => a.templated - b.templated);
+
+// Validate a request against its operation, returning the list of violations
+const validateRequest = (req, operation, pathParams) => {
+  const violations = [];
+  const parameters = (operation.parameters || []).map(resolveRef);
+
+  parameters.forEach(parameter => {
+    const sources = { query: req.query, path: pathParams, header: req.headers };
+    const name = parameter.in === 'header' ? parameter.name.toLowerCase() : parameter.name;
+    const rawValue = sources[parameter.in]?.[name];
+
+    if (rawValue === undefined || rawValue === '') {
+      if (parameter.required) {
+        violations.push({ in: parameter.in, path: parameter.name, message: 'is required' });
+      }
+      return;
+    }
+
+    validateAgainstSchema(parameter.schema, coerceParameter(parameter.schema, rawValue), parameter.in, parameter.name, violations);
+  });
+
+  const requestBody = operation.requestBody;
+  if (requestBody) {
+    const hasBody = req.body !== undefined && !(getJsonType(req.body) === 'object' && Object.keys(req.body).length === 0);
+    if (!hasBody) {
+      if (requestBody.required) {
+        violations.push({ in: 'body', path: '(root)', message: 'request body is required' });
+      }
+    } else {
+      validateAgainstSchema(requestBody.content['application/json'].schema, req.body, 'body', '', violations);
+    }
+  }
+
+  return violations;
+};
+
+app.use((req, res, next) => {
+  for (const route of openApiRoutes) {
+    const match = route.method === req.method && route.pattern.exec(req.path);
+    if (!match) {
+      continue;
+    }
+
+    const violations = validateRequest(req, route.operation, match.groups || {});
+    if (violations.length > 0) {
+      console.log(`[CHARI-STUB] Validation failed for ${req.method} ${req.path}: ${JSON.stringify(violations)}`);
+      return res.status(400).json({
+        ...createErrorResponse(400, `Request validation failed with ${violations.length} violation(s)`),
+        errors: violations
+      });
+    }
+    break;
+  }
+  next();
+});
+
+// API Documentation
+
+// OpenAPI Spec - GET /docs/openapi.json
+app.get('/docs/openapi.json', (req, res) => {
+  res.json(openApiSpec);
+});
+
+// Swagger UI bootstrap, served as a file so the default Content-Security-Policy still applies
+app.get('/docs/swagger-initializer.js', (req, res) => {
+  res.type('application/javascript').send(`window.onload = () => {
+  window.ui = SwaggerUIBundle({ url: '/docs/openapi.json', dom_id: '#swagger-ui', persistAuthorization: true });
+};
+`);
+});
+
+// Docs UI - GET /docs
+app.get('/docs', (req, res, next) => {
+  // Relative asset URLs need the trailing slash
+  if (!req.originalUrl.endsWith('/')) {
+    return res.redirect(301, '/docs/');
+  }
+  next();
+});
+app.use('/docs', express.static(swaggerUiDist.getAbsoluteFSPath()));
+
+// Routes
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    service: 'Chari API Stub'
+  });
+});
+
+// Customer Status - GET /customers/status
+app.get('/customers/status', (req, res) => {
+  const { phoneNumber } = req.query;
+
+  console.log(`[CHARI-STUB] Customer status check for: ${phoneNumber}`);
+
+  if (!phoneNumber) {
+    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+  }
+
+  // Check if customer exists in our mock data
+  const customerStatus = releaseExpiredLock(phoneNumber);
+
+  if (!customerStatus || customerStatus.status === 0) {
+    // Customer doesn't exist - return 204 No Content
+    console.log(`[CHARI-STUB] Customer not found: ${phoneNumber}`);
+    return res.status(204).send();
+  }
+
+  // Build complete customer information using the requested phone number
+  const registration = mockData.registrations[phoneNumber];
+  const balance = getBalance(phoneNumber);
+
+  const customerInfo = {
+    id: `customer-${phoneNumber.replace('+', '').replace(/\D/g, '')}`,
+    phoneNumber: phoneNumber, // Use the requested phone number
+    status: customerStatus.status, // Keep the numeric status as per Chari API spec
+    walletType: registration?.walletType || 'P',
+    balance: balance,
+    currency: 'MAD',
+    firstName: registration?.firstName,
+    lastName: registration?.lastName,
+    registeredAt: registration?.registeredAt
+  };
+
+  console.log(`[CHARI-STUB] Customer status: ${JSON.stringify(customerInfo)}`);
+  res.json(createResponse(customerInfo, req));
+});
+
+// Customer Default Wallet - GET /customers/default
+app.get('/customers/default', (req, res) => {
+  const { phoneNumber } = req.query;
+
+  console.log(`[CHARI-STUB] Default wallet check for: ${phoneNumber}`);
+
+  if (!phoneNumber) {
+    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+  }
+
+  // Check if customer exists in our mock data
+  const customerStatus = mockData.customers[phoneNumber];
+
+  if (!customerStatus || customerStatus.status === 0) {
+    // Customer doesn't exist
+    return res.status(404).json(createErrorResponse(404, 'Customer not found'));
+  }
+
+  // For stub, assume all existing customers have default wallet
+  res.json(createResponse({ isDefaultWallet: true }, req));
+});
+
+// Customer Registration - POST /customers/register
+app.post('/customers/register', idempotent, (req, res) => {
+  const { phoneNumber, firstName, lastName, cin, walletType } = req.body;
+
+  console.log(`[CHARI-STUB] Registration request:`, req.body);
+
+  if (!phoneNumber || !firstName || !lastName || !cin || !walletType) {
+    return res.status(400).json(createErrorResponse(400, 'Missing required fields'));
+  }
+
+  // Store registration data
+  mockData.registrations[phoneNumber] = {
+    firstName,
+    lastName,
+    cin,
+    walletType,
+    registeredAt: new Date().toISOString()
+  };
+
+  // Update customer status to "not confirmed"
+  setCustomerStatus(phoneNumber, 1);
+
+  // Send the confirmation code
+  issueOtp(phoneNumber);
+
+  console.log(`[CHARI-STUB] Customer registered: ${phoneNumber}`);
+  res.json(createResponse(true, req));
+});
+
+// Customer Registration Confirmation - POST /customers/confirm
+app.post('/customers/confirm', (req, res) => {
+  const { phoneNumber, code, walletType } = req.body;
+
+  console.log(`[CHARI-STUB] Confirmation request for: ${phoneNumber}, code: ${code}`);
+
+  if (!phoneNumber || !code || !walletType) {
+    return res.status(400).json(createErrorResponse(400, 'Missing required fields'));
+  }
+
+  // Check the code against the last one sent to this number (XXXXXX format)
+  const otp = mockData.otps[phoneNumber];
+  if (!otp) {
+    return res.status(400).json(createErrorResponse(400, 'No pending confirmation code, request a new one'));
+  }
+
+  if (otp.expiresAt && new Date(otp.expiresAt) <= new Date()) {
+    return res.status(400).json(createErrorResponse(400, 'Confirmation code expired'));
+  }
+
+  if (otp.attempts >= otpPolicy.maxAttempts) {
+    return res.status(400).json(createErrorResponse(400, 'Too many invalid attempts, request a new code'));
+  }
+
+  if (code !== otp.code) {
+    otp.attempts += 1;
+    const remainingAttempts = otpPolicy.maxAttempts - otp.attempts;
+    console.log(`[CHARI-STUB] Invalid confirmation code for: ${phoneNumber}, remaining attempts: ${remainingAttempts}`);
+    if (remainingAttempts === 0) {
+      return res.status(400).json(createErrorResponse(400, 'Too many invalid attempts, request a new code'));
+    }
+    return res.status(400).json(createErrorResponse(400, `Invalid confirmation code, ${remainingAttempts} attempt(s) remaining`));
+  }
+
+  delete mockData.otps[phoneNumber];
+
+  // Update customer status to "confirmed but no PIN"
+  setCustomerStatus(phoneNumber, 2);
+
+  console.log(`[CHARI-STUB] Customer confirmed: ${phoneNumber}`);
+  res.json(createResponse(true, req));
+});
+
+// Resend OTP - POST /customers/confirm/resend-otp
+app.post('/customers/confirm/resend-otp', (req, res) => {
+  const { phoneNumber } = req.query;
+
+  console.log(`[CHARI-STUB] Resend OTP for: ${phoneNumber}`);
+
+  if (!phoneNumber) {
+    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+  }
+
+  if (mockData.customers[phoneNumber]?.status !== 1) {
+    return res.status(400).json(createErrorResponse(400, 'Customer not found or already confirmed'));
+  }
+
+  const previousOtp = mockData.otps[phoneNumber];
+  const resends = previousOtp ? previousOtp.resends + 1 : 0;
+
+  if (resends > otpPolicy.maxResends) {
+    return res.status(429).json(createErrorResponse(429, 'Maximum number of code resends reached'));
+  }
+
+  if (previousOtp) {
+    const elapsedSeconds = (Date.now() - new Date(previousOtp.issuedAt).getTime()) / 1000;
+    const retryAfter = Math.ceil(otpPolicy.resendCooldownSeconds - elapsedSeconds);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json(createErrorResponse(429, `Please wait ${retryAfter} second(s) before requesting a new code`));
+    }
+  }
+
+  issueOtp(phoneNumber, resends);
+
+  console.log(`[CHARI-STUB] OTP resent to: ${phoneNumber}`);
+  res.json(createResponse(true, req));
+});
+
+// Customer Login - POST /customers/login
+app.post('/customers/login', (req, res) => {
+  const { phoneNumber, pin } = req.body;
+
+  console.log(`[CHARI-STUB] Login request for: ${phoneNumber}`);
+
+  if (!phoneNumber || !pin) {
+    return res.status(400).json(createErrorResponse(400, 'Phone number and PIN are required'));
+  }
+
+  // Check if customer exists and has a PIN
+  const customerStatus = releaseExpiredLock(phoneNumber);
+  if (!customerStatus || customerStatus.status < 3) {
+    return res.status(400).json(createErrorResponse(400, 'Customer not found or not activated'));
+  }
+
+  const lockedError = getLockedCustomerError(customerStatus);
+  if (lockedError) {
+    return res.status(403).json(lockedError);
+  }
+
+  // Check the PIN against the stored one (XXXX format)
+  const { valid, remainingAttempts } = verifyCustomerPin(phoneNumber, pin);
+
+  const response = {
+    logged: valid,
+    remainingAttempts
+  };
+
+  console.log(`[CHARI-STUB] Login result: ${JSON.stringify(response)}`);
+  res.json(createResponse(response, req));
+});
+
+// Create PIN - POST /customers/pin
+app.post('/customers/pin', (req, res) => {
+  const { phoneNumber, pin } = req.body;
+
+  console.log(`[CHARI-STUB] Create PIN for: ${phoneNumber}`);
+
+  if (!phoneNumber || !pin) {
+    return res.status(400).json(createErrorResponse(400, 'Phone number and PIN are required'));
+  }
+
+  // Store PIN and update customer status to active
+  mockData.pins[phoneNumber] = pin;
+  setCustomerStatus(phoneNumber, 3, { failedPinAttempts: 0, temporaryLocks: 0, lockedUntil: null });
+
+  console.log(`[CHARI-STUB] PIN created for: ${phoneNumber}`);
+  res.json(createResponse(true, req));
+});
+
+// Update PIN - PUT /customers/pin
+app.put('/customers/pin', (req, res) => {
+  const { phoneNumber, oldPin, newPin } = req.body;
+
+  console.log(`[CHARI-STUB] Update PIN for: ${phoneNumber}`);
+
+  if (!phoneNumber || !oldPin || !newPin) {
+    return res.status(400).json(createErrorResponse(400, 'Phone number, old PIN, and new PIN are required'));
+  }
+
+  const customerStatus = releaseExpiredLock(phoneNumber);
+  if (!customerStatus || customerStatus.status < 3) {
+    return res.status(400).json(createErrorResponse(400, 'Customer not found or not activated'));
+  }
+
+  const lockedError = getLockedCustomerError(customerStatus);
+  if (lockedError) {
+    return res.status(403).json(lockedError);
+  }
+
+  // A wrong old PIN counts as a failed attempt, like a failed login
+  const { valid, remainingAttempts } = verifyCustomerPin(phoneNumber, oldPin);
+  if (!valid) {
+    console.log(`[CHARI-STUB] Invalid old PIN for: ${phoneNumber}, remaining attempts: ${remainingAttempts}`);
+    return res.status(400).json(createErrorResponse(400, `Invalid old PIN, ${remainingAttempts} attempt(s) remaining`));
+  }
+
+  mockData.pins[phoneNumber] = newPin;
+
+  console.log(`[CHARI-STUB] PIN updated for: ${phoneNumber}`);
+  res.json(createResponse(true, req));
+});
+
+// Customer Balance - GET /customers/balance
+app.get('/customers/balance', (req, res) => {
+  const { phoneNumber } = req.query;
+
+  console.log(`[CHARI-STUB] Balance request for: ${phoneNumber}`);
+
+  if (!phoneNumber) {
+    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+  }
+
+  const balance = getBalance(phoneNumber);
+
+  console.log(`[CHARI-STUB] Balance for ${phoneNumber}: ${balance}`);
+  res.json(createResponse({ balance }, req));
+});
+
+// Customer Limits - GET /customers/limits
+// Each limit of the customer's wallet with how much of it is used - remaining is null for unlimited ones
+app.get('/customers/limits', (req, res) => {
+  const { phoneNumber } = req.query;
+
+  console.log(`[CHARI-STUB] Limits request for: ${phoneNumber}`);
+
+  if (!phoneNumber) {
+    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+  }
+
+  const customerStatus = mockData.customers[phoneNumber];
+  if (!customerStatus || customerStatus.status === 0) {
+    return res.status(404).json(createErrorResponse(404, 'Customer not found'));
+  }
+
+  const limits = getWalletLimits(phoneNumber);
+  const usage = getWalletUsage(phoneNumber);
+  const consumption = (limit, used) => ({
+    limit,
+    used,
+    remaining: limit === null ? null : parseFloat(Math.max(limit - used, 0).toFixed(2))
+  });
+
+  const limitsInfo = {
+    phoneNumber,
+    walletType: getWalletType(phoneNumber),
+    currency: 'MAD',
+    maxTransactionAmount: limits.maxTransactionAmount,
+    daily: {
+      since: usage.dayStart,
+      amount: consumption(limits.dailyAmount, usage.dailyAmount),
+      count: consumption(limits.dailyCount, usage.dailyCount)
+    },
+    monthly: {
+      since: usage.monthStart,
+      amount: consumption(limits.monthlyAmount, usage.monthlyAmount),
+      count: consumption(limits.monthlyCount, usage.monthlyCount)
+    },
+    balance: consumption(limits.maxBalance, getBalance(phoneNumber))
+  };
+
+  res.json(createResponse(limitsInfo, req));
+});
+
+// Customer Info - GET /customers/info
+app.get('/customers/info', (req, res) => {
+  const { phoneNumber } = req.query;
+
+  console.log(`[CHARI-STUB] Info request for: ${phoneNumber}`);
+
+  if (!phoneNumber) {
+    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+  }
+
+  const registration = mockData.registrations[phoneNumber];
+  if (!registration) {
+    return res.status(404).json(createErrorResponse(404, 'Customer not found'));
+  }
+
+  const customerInfo = {
+    id: phoneNumber.replace('+', '').replace(/\D/g, ''), // Generate numeric ID from phone
+    phoneNumber,
+    firstName: registration.firstName,
+    lastName: registration.lastName,
+    cin: registration.cin,
+    walletType: registration.walletType,
+    status: mockData.customers[phoneNumber]?.status || 0,
+    customer_status: mockData.customers[phoneNumber]?.status || 0,
+    rib: `827640000010000000${phoneNumber.slice(-4)}`, // Generate fake RIB
+    balance: getBalance(phoneNumber),
+    createdAt: registration.registeredAt,
+    updatedAt: new Date().toISOString()
+  };
+
+  console.log(`[CHARI-STUB] Customer info: ${JSON.stringify(customerInfo)}`);
+  res.json(createResponse(customerInfo, req));
+});
+
+// Customer Transactions - GET /customers/transactions
+app.get('/customers/transactions', (req, res) => {
+  const { phoneNumber, limit = 10, offset = 0, page = 1 } = req.query;
+
+  console.log(`[CHARI-STUB] Transactions request for: ${phoneNumber}, limit: ${limit}, offset: ${offset}, page: ${page}`);
+
+  if (!phoneNumber) {
+    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+  }
+
+  const filtered = filterTransactions(mockData.transactions[phoneNumber] || [], req.query);
+  if (filtered.error) {
+    return res.status(400).json(createErrorResponse(400, filtered.error));
+  }
+
+  const { transactions } = filtered;
+  const pageSize = parseInt(limit);
+  const pageNumber = parseInt(page);
+
+  // Support both offset-based and page-based pagination
+  const startIndex = offset ? parseInt(offset) : (pageNumber - 1) * pageSize;
+  const endIndex = startIndex + pageSize;
+  const paginatedTransactions = transactions.slice(startIndex, endIndex);
+
+  const totalPages = Math.ceil(transactions.length / pageSize);
+  const currentPage = Math.floor(startIndex / pageSize) + 1;
+
+  const response = {
+    transactions: paginatedTransactions,
+    total: transactions.length,
+    limit: pageSize,
+    offset: startIndex,
+    page: currentPage,
+    totalPages: totalPages,
+    hasMore: endIndex < transactions.length,
+    hasPrevious: startIndex > 0
+  };
+
+  console.log(`[CHARI-STUB] Returning ${paginatedTransactions.length} of ${transactions.length} transactions for ${phoneNumber} (page ${currentPage}/${totalPages})`);
+  res.json(createResponse(response, req));
+});
+
+// Get Single Transaction - GET /customers/transactions/:transactionId
+app.get('/customers/transactions/:transactionId', (req, res) => {
+  const { phoneNumber } = req.query;
+  const { transactionId } = req.params;
+
+  console.log(`[CHARI-STUB] Get transaction ${transactionId} for: ${phoneNumber}`);
+
+  if (!phoneNumber) {
+    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+  }
+
+  const transactions = mockData.transactions[phoneNumber] || [];
+  const transaction = transactions.find(tx => tx.id === `TXN_${String(transactionId).padStart(3, '0')}`);
+
+  if (!transaction) {
+    return res.status(404).json(createErrorResponse(404, 'Transaction not found'));
+  }
+
+  console.log(`[CHARI-STUB] Found transaction: ${transaction.id}`);
+  res.json(createResponse(transaction, req));
+});
+
+// Customer Operations/Transfers - GET /operations (first version - simple)
+app.get('/operations-simple', (req, res) => {
+  const { phoneNumber, type, limit = 10, offset = 0, page = 1 } = req.query;
+
+  console.log(`[CHARI-STUB] Operations request for: ${phoneNumber}, type: ${type}`);
+
+  if (!phoneNumber) {
+    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+  }
+
+  // Filter by type (or any other listing filter) if specified
+  const filtered = filterTransactions(mockData.transactions[phoneNumber] || [], req.query);
+  if (filtered.error) {
+    return res.status(400).json(createErrorResponse(400, filtered.error));
+  }
+
+  const { transactions } = filtered;
+  const pageSize = parseInt(limit);
+  const pageNumber = parseInt(page);
+
+  // Support both offset-based and page-based pagination
+  const startIndex = offset ? parseInt(offset) : (pageNumber - 1) * pageSize;
+  const endIndex = startIndex + pageSize;
+  const paginatedTransactions = transactions.slice(startIndex, endIndex);
+
+  const totalPages = Math.ceil(transactions.length / pageSize);
+  const currentPage = Math.floor(startIndex / pageSize) + 1;
+
+  const response = {
+    operations: paginatedTransactions,
+    total: transactions.length,
+    limit: pageSize,
+    offset: startIndex,
+    page: currentPage,
+    totalPages: totalPages,
+    hasMore: endIndex < transactions.length,
+    hasPrevious: startIndex > 0
+  };
+
+  console.log(`[CHARI-STUB] Returning ${paginatedTransactions.length} of ${transactions.length} operations for ${phoneNumber} (page ${currentPage}/${totalPages})`);
+  res.json(createResponse(response, req));
+});
+
+// Customer Unregister - DELETE /customers/unregister
+app.delete('/customers/unregister', (req, res) => {
+  const { phoneNumber } = req.query;
+
+  console.log(`[CHARI-STUB] Unregister request for: ${phoneNumber}`);
+
+  if (!phoneNumber) {
+    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+  }
+
+  const previousStatus = mockData.customers[phoneNumber]?.status ?? 0;
+
+  // Remove customer data
+  delete mockData.customers[phoneNumber];
+  delete mockData.registrations[phoneNumber];
+  delete mockData.pins[phoneNumber];
+  delete mockData.otps[phoneNumber];
+  delete mockData.balances[phoneNumber];
+  delete mockData.transactions[phoneNumber];
+  delete mockData.beneficiaries[phoneNumber];
+
+  if (previousStatus !== 0) {
+    emitWebhookEvent('customer.status_changed', {
+      phoneNumber,
+      previousStatus,
+      status: 0,
+      message: CUSTOMER_STATUS_MESSAGES[0]
+    });
+  }
+
+  console.log(`[CHARI-STUB] Customer unregistered: ${phoneNumber}`);
+  res.json(createResponse(true, req));
+});
+
+// Operations endpoints
+
+// CashIn Card Preview - POST /operations/cashin/card/preview
+app.post('/operations/cashin/card/preview', (req, res) => {
+  const { phoneNumber } = req.query;
+  const { amount } = req.body;
+
+  console.log(`[CHARI-STUB] CashIn preview for: ${phoneNumber}, amount: ${amount}`);
+
+  if (!phoneNumber || !amount) {
+    return res.status(400).json(createErrorResponse(400, 'Phone number and amount are required'));
+  }
+
+  const limitError = checkWalletLimits(phoneNumber, parseFloat(amount), parseFloat(amount));
+  if (limitError) {
+    return res.status(limitError.status).json(createLimitErrorResponse(limitError));
+  }
+
+  const feesAmount = calculateFees('CASHIN_CARD', amount, getWalletType(phoneNumber));
+
+  // Mock preview response
+  const previewResponse = {
+    type: 1,
+    operation: {
+      phoneNumber,
+      amount,
+      method: 2,
+      acceptedBy: 0,
+      description: ''
+    },
+    feesAmount,
+    totalAmount: parseFloat((parseFloat(amount) + feesAmount).toFixed(2)),
+    checkedAt: new Date().toISOString(),
+    openLoop: false
+  };
+
+  res.json(createResponse(previewResponse, req));
+});
+
+// Card Cash-in
+// Executing a card cash-in opens a payment session, the customer then enters their card on the hosted payment page
+// served by the stub, which simulates the 3-D Secure challenge chosen by the test card number
+const CARD_SESSION_TTL_SECONDS = readIntEnv('CHARI_STUB_CARD_SESSION_TTL_SECONDS', 900);
+// Utility function to parse a return URL, null unless it is an absolute http or https URL
+const parseReturnUrl = (value) => {
+  const url = typeof value === 'string' && URL.canParse(value) ? new URL(value) : null;
+  return url && ['http:', 'https:'].includes(url.protocol) ? url : null;
+};
+
+// Where the hosted page sends the customer back when the session has no returnUrl - a result page is shown when unset
+const CARD_RETURN_URL = parseReturnUrl(process.env.CHARI_STUB_CARD_RETURN_URL) ? process.env.CHARI_STUB_CARD_RETURN_URL : null;
+
+if (process.env.CHARI_STUB_CARD_RETURN_URL && !CARD_RETURN_URL) {
+  console.error(`[CHARI-STUB] Invalid CHARI_STUB_CARD_RETURN_URL "${process.env.CHARI_STUB_CARD_RETURN_URL}", expected an http or https URL - showing the result page instead`);
+}
+// The code the 3-D Secure challenge accepts
+const CARD_CHALLENGE_CODE = '123456';
+
+// Test cards and what happens when they are used on the hosted page
+const CARD_TEST_CARDS = {
+  '4242424242424242': { scenario: 'FRICTIONLESS', description: 'Authenticated without a challenge' },
+  '4000000000003220': { scenario: 'CHALLENGE', description: `Challenge succeeds with code ${CARD_CHALLENGE_CODE}, fails with any other code` },
+  '4000008400001629': { scenario: 'CHALLENGE_FAILED', description: 'Challenge always fails' },
+  '4000002760003184': { scenario: 'ABANDONED', description: 'Cardholder abandons the challenge' },
+  '4000000000000002': { scenario: 'DECLINED', description: 'Declined by the issuer' }
+};
+
+// Response shape of a card session - the test card scenario stays internal
+const toCardSessionResponse = ({ scenario, ...session }) => session;
+
+// Mark an unfinished session as abandoned once its TTL has passed
+const expireStaleCardSession = (session) => {
+  if (['PENDING', 'CHALLENGE'].includes(session.status) && new Date(session.expiresAt) <= new Date()) {
+    session.status = 'ABANDONED';
+    session.failureReason = 'Payment session expired';
+    session.completedAt = session.expiresAt;
+    console.log(`[CHARI-STUB] Card session expired: ${session.sessionId}`);
+    emitWebhookEvent('card_cashin.abandoned', toCardSessionResponse(session));
+  }
+  return session;
+};
+
+// Close a session as failed or abandoned
+const failCardSession = (session, status, failureReason) => {
+  session.status = status;
+  session.failureReason = failureReason;
+  session.completedAt = new Date().toISOString();
+  console.log(`[CHARI-STUB] Card session ${session.sessionId} ${status.toLowerCase()}: ${failureReason}`);
+  emitWebhookEvent(status === 'ABANDONED' ? 'card_cashin.abandoned' : 'card_cashin.failed', toCardSessionResponse(session));
+};
+
+// Credit the wallet of an authenticated session with the full amount and record the CASHIN operation (type 1)
+// The fees were charged to the card with it (totalAmount), so they don't come out of the wallet
+// The customer and the limits are checked again, as the customer may have been locked or removed, or other
+// operations may have used the limits up, since the session was opened
+const completeCardSession = (session) => {
+  const { phoneNumber, amount, feesAmount } = session;
+  const customerError = validatePayingCustomer(phoneNumber);
+  if (customerError) {
+    return failCardSession(session, 'FAILED', customerError.error);
+  }
+
+  const limitError = checkWalletLimits(phoneNumber, amount, amount);
+  if (limitError) {
+    return failCardSession(session, 'FAILED', limitError.error);
+  }
+
+  const date = new Date().toISOString();
+  const transactionReference = generateTransactionReference({ id: getNextTransactionId(phoneNumber), date }, 1);
+
+  recordTransaction(phoneNumber, {
+    type: 'CASHIN',
+    amount,
+    feesAmount,
+    feesPaidByCard: true,
+    date,
+    description: `Card cash-in ${session.cardNumber}`,
+    reference: transactionReference
+  });
+
+  session.status = 'SUCCEEDED';
+  session.completedAt = date;
+  session.transactionReference = transactionReference;
+
+  console.log(`[CHARI-STUB] Card session ${session.sessionId} succeeded: ${amount} MAD to ${phoneNumber}`);
+  emitWebhookEvent('card_cashin.executed', toCardSessionResponse(session));
+};
+
+// Utility function to escape text shown on the hosted payment page
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+// Send a hosted payment page
+// The CSP allows redirecting the form to the return URL, which is on another origin
+const sendPaymentPage = (res, title, content, status = 200) => {
+  res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; form-action 'self' http: https:");
+  res.status(status).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} - Chari</title>
+<style>
+body { font-family: sans-serif; background: #f4f5f7; margin: 0; padding: 2rem 1rem; }
+main { max-width: 24rem; margin: 0 auto; background: #fff; border-radius: 8px; padding: 1.5rem; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.1); }
+label { display: block; margin-top: 1rem; font-size: 0.9rem; }
+input { width: 100%; box-sizing: border-box; padding: 0.5rem; margin-top: 0.25rem; font-size: 1rem; }
+button { margin-top: 1.25rem; padding: 0.6rem 1rem; font-size: 1rem; }
+.error { color: #b00020; }
+.muted { color: #666; font-size: 0.85rem; }
+</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(title)}</h1>
+${content}
+</main>
+</body>
+</html>
+`);
+};
+
+// Send the customer back to the return URL with the outcome, or show it when there is none
+// The session is already settled here, so a return URL that doesn't parse falls back to the result page
+const finishCardSession = (res, session) => {
+  const url = parseReturnUrl(session.returnUrl || CARD_RETURN_URL);
+  if (url) {
+    url.searchParams.set('sessionId', session.sessionId);
+    url.searchParams.set('status', session.status);
+    return res.redirect(303, url.toString());
+  }
+
+  const titles = { SUCCEEDED: 'Payment successful', FAILED: 'Payment failed', ABANDONED: 'Payment cancelled' };
+  sendPaymentPage(res, titles[session.status], `
+<p>${session.status === 'SUCCEEDED'
+    ? `The cash-in of ${session.amount} MAD to the wallet of ${escapeHtml(session.phoneNumber)} is complete.`
+    : escapeHtml(session.failureReason)}</p>
+<p class="muted">Session ${escapeHtml(session.sessionId)}${session.transactionReference ? ` - reference ${escapeHtml(session.transactionReference)}` : ''}</p>`);
+};
+
+// Show the card form, with an error from a previous attempt
+const sendCardForm = (res, session, error = null) => sendPaymentPage(res, 'Card payment', `
+<p>Cash-in of <strong>${session.amount} MAD</strong> to the wallet of ${escapeHtml(session.phoneNumber)}.<br>
+<span class="muted">Fees: ${session.feesAmount} MAD</span></p>
+${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+<form method="post" action="/payment/${encodeURIComponent(session.sessionId)}">
+<label>Card number <input name="cardNumber" inputmode="numeric" autocomplete="cc-number" required></label>
+<label>Expiry (MM/YY) <input name="expiry" autocomplete="cc-exp" placeholder="12/30"></label>
+<label>CVV <input name="cvv" inputmode="numeric" autocomplete="cc-csc"></label>
+<button type="submit">Pay</button>
+<button type="submit" name="action" value="cancel" formnovalidate>Cancel</button>
+</form>
+<p class="muted">Test cards: ${Object.keys(CARD_TEST_CARDS).join(', ')}</p>`, error ? 400 : 200);
+
+// Show the 3-D Secure challenge
+const sendChallengeForm = (res, session, error = null) => sendPaymentPage(res, '3-D Secure', `
+<p>Enter the code sent by your bank to confirm the cash-in of ${session.amount} MAD with card ${escapeHtml(session.cardNumber)}.</p>
+${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+<form method="post" action="/payment/${encodeURIComponent(session.sessionId)}/challenge">
+<label>Verification code <input name="code" inputmode="numeric" autocomplete="one-time-code" required></label>
+<button type="submit">Confirm</button>
+<button type="submit" name="action" value="cancel" formnovalidate>Cancel</button>
+</form>
+<p class="muted">Test code: ${CARD_CHALLENGE_CODE}</p>`);
+
+// Middleware to load the session of a hosted payment page and handle the request as the partner that opened it
+// The customer's browser has no API key, so the request runs without one
+const withCardSession = (req, res, next) => {
+  const store = [...partnerStores.values()].find(partnerStore => partnerStore.cardSessions?.[req.params.sessionId]);
+  if (!store) {
+    return sendPaymentPage(res, 'Payment not found', '<p>This payment session does not exist.</p>', 404);
+  }
+
+  const session = store.cardSessions[req.params.sessionId];
+  requestContext.run({ apiKey: null, partnerId: session.partnerId, partner: session.partner }, () => {
+    req.cardSession = expireStaleCardSession(session);
+    next();
+  });
+};
+
+// CashIn Card Execute - POST /operations/cashin/card
+// Opens a payment session - the wallet is credited once the customer pays on the hosted page at paymentUrl
+app.post('/operations/cashin/card', idempotent, (req, res) => {
+  const { phoneNumber } = req.query;
+  const { amount, returnUrl } = req.body;
+
+  console.log(`[CHARI-STUB] CashIn card execution for: ${phoneNumber}, amount: ${amount}`);
+
+  if (!phoneNumber || !amount) {
+    return res.status(400).json(createErrorResponse(400, 'Phone number and amount are required'));
+  }
+
+  const customerError = validatePayingCustomer(phoneNumber);
+  if (customerError) {
+    return sendPaymentError(res, customerError);
+  }
+
+  if (returnUrl !== undefined && !parseReturnUrl(returnUrl)) {
+    return res.status(400).json(createErrorResponse(400, 'returnUrl must be an http or https URL'));
+  }
+
+  const sessionAmount = parseFloat(parseFloat(amount).toFixed(2));
+  const feesAmount = calculateFees('CASHIN_CARD', sessionAmount, getWalletType(phoneNumber));
+
+  const limitError = checkWalletLimits(phoneNumber, sessionAmount, sessionAmount);
+  if (limitError) {
+    return res.status(limitError.status).json(createLimitErrorResponse(limitError));
+  }
+
+  const createdAt = new Date();
+  const sessionId = `CPS_${crypto.randomBytes(12).toString('hex')}`;
+  const session = {
+    sessionId,
+    phoneNumber,
+    amount: sessionAmount,
+    feesAmount,
+    totalAmount: parseFloat((sessionAmount + feesAmount).toFixed(2)),
+    currency: 'MAD',
+    status: 'PENDING',
+    paymentUrl: `${req.protocol}://${req.get('host')}/payment/${sessionId}`,
+    returnUrl: returnUrl || null,
+    cardNumber: null,
+    threeDSecure: null,
+    failureReason: null,
+    transactionReference: null,
+    createdAt: createdAt.toISOString(),
+    expiresAt: new Date(createdAt.getTime() + CARD_SESSION_TTL_SECONDS * 1000).toISOString(),
+    completedAt: null,
+    ...getCurrentPartner()
+  };
+  mockData.cardSessions[sessionId] = session;
+
+  console.log(`[CHARI-STUB] Card session created: ${sessionId}`);
+  res.json(createResponse(toCardSessionResponse(session), req));
+});
+
+// CashIn Card Status - GET /operations/cashin/card?sessionId=
+app.get('/operations/cashin/card', (req, res) => {
+  const { sessionId } = req.query;
+
+  console.log(`[CHARI-STUB] CashIn card status for session: ${sessionId}`);
+
+  if (!sessionId) {
+    return res.status(400).json(createErrorResponse(400, 'sessionId is required'));
+  }
+
+  const session = mockData.cardSessions[sessionId];
+  if (!session) {
+    return res.status(404).json(createErrorResponse(404, 'Card session not found'));
+  }
+
+  res.json(createResponse(toCardSessionResponse(expireStaleCardSession(session)), req));
+});
+
+// Hosted Payment Page - GET /payment/:sessionId
+app.get('/payment/:sessionId', withCardSession, (req, res) => {
+  const session = req.cardSession;
+
+  if (session.status === 'CHALLENGE') {
+    return sendChallengeForm(res, session);
+  }
+  if (session.status !== 'PENDING') {
+    return finishCardSession(res, session);
+  }
+  sendCardForm(res, session);
+});
+
+// Hosted Payment Page Card Entry - POST /payment/:sessionId
+// Form fields: cardNumber, expiry, cvv - or action=cancel
+app.post('/payment/:sessionId', express.urlencoded({ extended: false }), withCardSession, (req, res) => {
+  const session = req.cardSession;
+  const { action } = req.body || {};
+  const cardNumber = String(req.body?.cardNumber || '').replace(/[\s-]/g, '');
+
+  console.log(`[CHARI-STUB] Card entry for session ${session.sessionId}: ${action === 'cancel' ? 'cancelled' : `card ending ${cardNumber.slice(-4)}`}`);
+
+  if (session.status !== 'PENDING') {
+    return session.status === 'CHALLENGE' ? sendChallengeForm(res, session) : finishCardSession(res, session);
+  }
+
+  if (action === 'cancel') {
+    failCardSession(session, 'ABANDONED', 'Payment cancelled by the cardholder');
+    return finishCardSession(res, session);
+  }
+
+  const testCard = CARD_TEST_CARDS[cardNumber];
+  if (!testCard) {
+    return sendCardForm(res, session, `Unknown card number - use one of the test cards`);
+  }
+
+  session.cardNumber = `**** ${cardNumber.slice(-4)}`;
+  session.scenario = testCard.scenario;
+
+  if (testCard.scenario === 'DECLINED') {
+    failCardSession(session, 'FAILED', 'Card declined by the issuer');
+  } else if (testCard.scenario === 'FRICTIONLESS') {
+    session.threeDSecure = 'FRICTIONLESS';
+    completeCardSession(session);
+  } else {
+    session.threeDSecure = 'CHALLENGE';
+    if (testCard.scenario === 'ABANDONED') {
+      failCardSession(session, 'ABANDONED', 'Cardholder abandoned the 3-D Secure challenge');
+    } else {
+      session.status = 'CHALLENGE';
+      return sendChallengeForm(res, session);
+    }
+  }
+
+  finishCardSession(res, session);
+});
+
+// Hosted Payment Page 3-D Secure Challenge - POST /payment/:sessionId/challenge
+// Form fields: code - or action=cancel
+app.post('/payment/:sessionId/challenge', express.urlencoded({ extended: false }), withCardSession, (req, res) => {
+  const session = req.cardSession;
+  const { action, code } = req.body || {};
+
+  console.log(`[CHARI-STUB] 3-D Secure challenge for session ${session.sessionId}: ${action === 'cancel' ? 'cancelled' : 'code entered'}`);
+
+  if (session.status !== 'CHALLENGE') {
+    return session.status === 'PENDING' ? sendCardForm(res, session) : finishCardSession(res, session);
+  }
+
+  if (action === 'cancel') {
+    failCardSession(session, 'ABANDONED', 'Cardholder abandoned the 3-D Secure challenge');
+  } else if (session.scenario === 'CHALLENGE_FAILED' || code !== CARD_CHALLENGE_CODE) {
+    failCardSession(session, 'FAILED', '3-D Secure authentication failed');
+  } else {
+    completeCardSession(session);
+  }
+
+  finishCardSession(res, session);
+});
+
+// Transfer Preview - POST /operations/transfer/preview
+app.post('/operations/transfer/preview', (req, res) => {
+  const { customerPhoneNumber, amount, reason, beneficiaryId } = req.body;
+
+  console.log(`[CHARI-STUB] Transfer preview from: ${customerPhoneNumber}, to: ${req.body.recipientPhoneNumber || `beneficiary ${beneficiaryId}`}, amount: ${amount}`);
+
+  if (!customerPhoneNumber || !amount || (!req.body.recipientPhoneNumber && !beneficiaryId)) {
+    return res.status(400).json(createErrorResponse(400, 'Missing required fields'));
+  }
+
+  // A stored beneficiary can stand in for the recipient phone number
+  const recipient = resolveTransferRecipient(customerPhoneNumber, req.body.recipientPhoneNumber, beneficiaryId);
+  if (recipient.error) {
+    return res.status(recipient.status).json(createErrorResponse(recipient.status, recipient.error));
+  }
+  const { recipientPhoneNumber, beneficiary } = recipient;
+
+  const partiesError = validateTransferParties(customerPhoneNumber, recipientPhoneNumber);
+  if (partiesError) {
+    return res.status(partiesError.status).json(createErrorResponse(partiesError.status, partiesError.error));
+  }
+
+  const limitError = checkWalletLimits(customerPhoneNumber, parseFloat(amount)) ||
+    checkRecipientBalanceLimit(recipientPhoneNumber, parseFloat(amount));
+  if (limitError) {
+    return res.status(limitError.status).json(createLimitErrorResponse(limitError));
+  }
+
+  const feesAmount = calculateFees('TRANSFER', amount, getWalletType(customerPhoneNumber));
+
+  // Mock transfer preview response
+  const previewResponse = {
+    type: 3,
+    operation: {
+      customerPhoneNumber,
+      amount,
+      reason: reason || '',
+      beneficiaryId: beneficiary ? beneficiary.id : null,
+      recipientPhoneNumber
+    },
+    feesAmount,
+    totalAmount: parseFloat((parseFloat(amount) + feesAmount).toFixed(2)),
+    checkedAt: new Date().toISOString(),
+    openLoop: false
+  };
+
+  res.json(createResponse(previewResponse, req));
+});
+
+// Transfer Execute - POST /operations/transfer
+app.post('/operations/transfer', idempotent, (req, res) => {
+  const { customerPhoneNumber, amount, reason, beneficiaryId } = req.body;
+
+  console.log(`[CHARI-STUB] Transfer execution from: ${customerPhoneNumber}, to: ${req.body.recipientPhoneNumber || `beneficiary ${beneficiaryId}`}, amount: ${amount}`);
+
+  if (!customerPhoneNumber || !amount || (!req.body.recipientPhoneNumber && !beneficiaryId)) {
+    return res.status(400).json(createErrorResponse(400, 'Missing required fields'));
+  }
+
+  // A stored beneficiary can stand in for the recipient phone number
+  const recipient = resolveTransferRecipient(customerPhoneNumber, req.body.recipientPhoneNumber, beneficiaryId);
+  if (recipient.error) {
+    return res.status(recipient.status).json(createErrorResponse(recipient.status, recipient.error));
+  }
+  const { recipientPhoneNumber, beneficiary } = recipient;
+
+  // Check both parties before looking at the balance
+  const partiesError = validateTransferParties(customerPhoneNumber, recipientPhoneNumber);
+  if (partiesError) {
+    return res.status(partiesError.status).json(createErrorResponse(partiesError.status, partiesError.error));
+  }
+
+  const limitError = checkWalletLimits(customerPhoneNumber, parseFloat(amount)) ||
+    checkRecipientBalanceLimit(recipientPhoneNumber, parseFloat(amount));
+  if (limitError) {
+    return res.status(limitError.status).json(createLimitErrorResponse(limitError));
+  }
+
+  // The sender pays the fees on top of the transferred amount
+  const transferAmount = parseFloat(amount);
+  const feesAmount = calculateFees('TRANSFER', transferAmount, getWalletType(customerPhoneNumber));
+  const totalAmount = parseFloat((transferAmount + feesAmount).toFixed(2));
+
+  if (getBalance(customerPhoneNumber) < totalAmount) {
+    return res.status(400).json(createErrorResponse(400, 'Insufficient balance'));
+  }
+
+  // Write the ledger entry on both sides, sharing one transaction reference - this moves both balances
+  const date = new Date().toISOString();
+  const senderTxId = getNextTransactionId(customerPhoneNumber);
+  const reference = generateTransactionReference({ id: senderTxId, date }, 3);
+
+  const senderTx = recordTransaction(customerPhoneNumber, {
+    type: 'TRANSFER_OUT',
+    amount: -transferAmount,
+    feesAmount,
+    date,
+    description: reason || `Transfer to ${recipientPhoneNumber}`,
+    reference,
+    counterparty: recipientPhoneNumber,
+    beneficiaryName: beneficiary ? beneficiary.name : getCustomerName(recipientPhoneNumber)
+  });
+  recordTransaction(recipientPhoneNumber, {
+    type: 'TRANSFER_IN',
+    amount: transferAmount,
+    date,
+    description: reason || `Transfer from ${customerPhoneNumber}`,
+    reference,
+    counterparty: customerPhoneNumber,
+    beneficiaryName: getCustomerName(customerPhoneNumber)
+  });
+
+  console.log(`[CHARI-STUB] Transfer ${reference} executed, sender balance: ${getBalance(customerPhoneNumber)}`);
+
+  emitWebhookEvent('transfer.executed', {
+    transactionReference: reference,
+    customerPhoneNumber,
+    recipientPhoneNumber,
+    amount: transferAmount,
+    feesAmount,
+    totalAmount,
+    reason: reason || '',
+    executedAt: date
+  });
+
+  // Mock transfer response
+  const transferResponse = {
+    operationType: 3,
+    amount,
+    feesAmount,
+    totalAmount,
+    reason: reason || '',
+    recipientPhoneNumber,
+    beneficiaryId: beneficiary ? beneficiary.id : null,
+    transactionId: parseInt(senderTx.id.replace('TXN_', '')),
+    transactionReference: reference,
+    checkedAt: date
+  };
+
+  res.json(createResponse(transferResponse, req));
+});
+
+// Get Operations - GET /operations (Chari API format - nested collection)
+app.get('/operations', (req, res) => {
+  const { phoneNumber, pageSize = 10, pageNumber = 1 } = req.query;
+
+  console.log(`[CHARI-STUB] [/operations] Get operations for: ${phoneNumber}, pageSize: ${pageSize}, pageNumber: ${pageNumber}`);
+
+  if (!phoneNumber) {
+    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+  }
+
+  // Get transactions for this customer, applying filters and sort order if provided
+  const filtered = filterTransactions(mockData.transactions[phoneNumber] || [], req.query);
+  if (filtered.error) {
+    return res.status(400).json(createErrorResponse(400, filtered.error));
+  }
+
+  const { transactions } = filtered;
+
+  const pageSizeInt = parseInt(pageSize);
+  const pageNumberInt = parseInt(pageNumber);
+  const totalRecords = transactions.length;
+  const totalPages = Math.ceil(totalRecords / pageSizeInt);
+
+  // Apply pagination
+  const startIndex = (pageNumberInt - 1) * pageSizeInt;
+  const endIndex = startIndex + pageSizeInt;
+  const paginatedTransactions = transactions.slice(startIndex, endIndex);
+
+  // Convert to expected format using helper function
+  const operations = paginatedTransactions.map((tx, index) =>
+    transactionToOperation(tx, phoneNumber, startIndex + index + 1)
+  );
+
+  // Return Chari API format (nested collection)
+  const response = {
+    collection: operations,
+    count: operations.length,
+    total: totalRecords,
+    pageNumber: pageNumberInt,
+    pageSize: pageSizeInt,
+    totalPages: totalPages,
+    hasMore: endIndex < totalRecords,
+    hasPrevious: pageNumberInt > 1
+  };
+
+  console.log(`[CHARI-STUB] [/operations] Returning ${operations.length} of ${totalRecords} operations (page ${pageNumberInt}/${totalPages})`);
+  res.json(createResponse(response, req));
+});
+
+// Get Operations - GET /customers/operations (Aslan API format - flat array)
+app.get('/customers/operations', (req, res) => {
+  const { phoneNumber, pageSize = 10, pageNumber = 1, limit, offset } = req.query;
+
+  console.log(`[CHARI-STUB] [/customers/operations] Get operations for: ${phoneNumber}, pageSize: ${pageSize}, pageNumber: ${pageNumber}, limit: ${limit}, offset: ${offset}`);
+
+  if (!phoneNumber) {
+    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+  }
+
+  // Get transactions for this customer, applying filters and sort order if provided
+  const filtered = filterTransactions(mockData.transactions[phoneNumber] || [], req.query);
+  if (filtered.error) {
+    return res.status(400).json(createErrorResponse(400, filtered.error));
+  }
+
+  const { transactions } = filtered;
+
+  // Support both limit/offset and pageSize/pageNumber pagination
+  let startIndex, endIndex, limitInt;
+
+  if (limit !== undefined || offset !== undefined) {
+    // Use limit/offset pagination
+    limitInt = parseInt(limit) || 10;
+    startIndex = parseInt(offset) || 0;
+    endIndex = startIndex + limitInt;
+  } else {
+    // Use pageSize/pageNumber pagination
+    const pageSizeInt = parseInt(pageSize) || 10;
+    const pageNumberInt = parseInt(pageNumber) || 1;
+    limitInt = pageSizeInt;
+    startIndex = (pageNumberInt - 1) * pageSizeInt;
+    endIndex = startIndex + pageSizeInt;
+  }
+
+  const totalRecords = transactions.length;
+  const paginatedTransactions = transactions.slice(startIndex, endIndex);
+
+  // Convert to expected format using helper function
+  const operations = paginatedTransactions.map((tx, index) =>
+    transactionToOperation(tx, phoneNumber, startIndex + index + 1)
+  );
+
+  const requestId = req.headers['c-request-id'] || generateUUID();
+
+  // Return Aslan API format (flat array)
+  const response = {
+    data: operations,
+    total: totalRecords,
+    limit: limitInt,
+    offset: startIndex,
+    hasMore: endIndex < totalRecords,
+    cRequestId: requestId
+  };
+
+  console.log(`[CHARI-STUB] [/customers/operations] Returning ${operations.length} of ${totalRecords} operations (offset ${startIndex}, limit ${limitInt})`);
+  res.json(response);
+});
+
+// Account Statements
+
+const STATEMENT_FORMATS = {
+  json: 'application/json',
+  csv: 'text/csv',
+  pdf: 'application/pdf'
+};
+
+// Build a customer's statement for a period from their ledger
+// Opening and closing balances are read from balanceAfter, so they match the transaction history
+const buildStatement = (phoneNumber, from, to) => {
+  // Stored newest first - walk the ledger in the order it was written
+  const ledger = [...(mockData.transactions[phoneNumber] || [])].reverse();
+  const inPeriod = tx => Date.parse(tx.date) >= from && Date.parse(tx.date) <= to;
+
+  const firstIndex = ledger.findIndex(inPeriod);
+  const transactions = ledger.filter(inPeriod);
+  const before = ledger.filter(tx => Date.parse(tx.date) < from);
+
+  let openingBalance;
+  if (firstIndex > 0) {
+    openingBalance = ledger[firstIndex - 1].balanceAfter;
+  } else if (firstIndex === 0) {
+    openingBalance = ledger[0].balanceAfter - getTransactionNetChange(ledger[0]);
+  } else if (before.length > 0) {
+    openingBalance = before[before.length - 1].balanceAfter;
+  } else {
+    openingBalance = ledger.length > 0 ? ledger[0].balanceAfter - getTransactionNetChange(ledger[0]) : getBalance(phoneNumber);
+  }
+
+  const sum = values => parseFloat(values.reduce((total, value) => total + value, 0).toFixed(2));
+  const operations = transactions.map((tx, index) => transactionToOperation(tx, phoneNumber, index + 1));
+
+  return {
+    phoneNumber,
+    customerName: getCustomerName(phoneNumber),
+    currency: 'MAD',
+    fromDate: new Date(from).toISOString(),
+    toDate: new Date(to).toISOString(),
+    openingBalance: parseFloat(openingBalance.toFixed(2)),
+    // Summed from the ledger entries like the balances, so card-paid fees, which never leave the wallet, stay out of totalFees
+    totalCredits: sum(transactions.filter(tx => tx.amount > 0).map(tx => tx.amount)),
+    totalDebits: sum(transactions.filter(tx => tx.amount < 0).map(tx => -tx.amount)),
+    totalFees: sum(transactions.map(tx => tx.amount - getTransactionNetChange(tx))),
+    closingBalance: transactions.length > 0 ? transactions[transactions.length - 1].balanceAfter : parseFloat(openingBalance.toFixed(2)),
+    operationCount: operations.length,
+    operations,
+    generatedAt: new Date().toISOString()
+  };
+};
+
+// Utility function to quote a CSV field when needed
+const toCsvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Render a statement as CSV, framed by opening and closing balance rows
+const toStatementCsv = (statement) => {
+  const header = ['date', 'transactionReference', 'operationType', 'reason', 'beneficiary', 'sens', 'amount', 'feesAmount', 'balanceAfter', 'transactionStatus'];
+  const rows = [
+    header,
+    [statement.fromDate, '', 'OPENING_BALANCE', '', '', '', '', '', statement.openingBalance, ''],
+    ...statement.operations.map(operation => [
+      operation.transactionDate,
+      operation.transactionReference,
+      operation.operationType,
+      operation.reason,
+      operation.beneficiary,
+      operation.sens === 1 ? 'CREDIT' : 'DEBIT',
+      operation.amount,
+      operation.feesAmount,
+      operation.balanceAfter,
+      operation.transactionStatus
+    ]),
+    [statement.toDate, '', 'CLOSING_BALANCE', '', '', '', '', '', statement.closingBalance, '']
+  ];
+
+  return `${rows.map(row => row.map(toCsvField).join(',')).join('\r\n')}\r\n`;
+};
+
+// Build a text-only PDF document - one monospaced line per entry, split into A4 pages
+const buildTextPdf = (lines, linesPerPage = 72) => {
+  const escapePdfText = text => text.replace(/[^\x20-\x7e\xa0-\xff]/g, '?').replace(/[\\()]/g, '\\$&');
+  const pages = [];
+  for (let i = 0; i < Math.max(lines.length, 1); i += linesPerPage) {
+    pages.push(lines.slice(i, i + linesPerPage));
+  }
+
+  // Objects: 1 catalog, 2 page tree, 3 font, then a page and its content stream per page
+  const pageIds = pages.map((page, index) => 4 + index * 2);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>'
+  ];
+  pages.forEach((pageLines, index) => {
+    const stream = ['BT', '/F1 8 Tf', '10 TL', '30 812 Td', ...pageLines.map(line => `(${escapePdfText(line)}) '`), 'ET'].join('\n');
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`);
+    objects.push(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+};
+
+// Render a statement as a PDF document
+const toStatementPdf = (statement) => {
+  const money = value => value.toFixed(2);
+  const column = (value, width, alignRight = false) => {
+    const text = String(value ?? '').slice(0, width);
+    return alignRight ? text.padStart(width) : text.padEnd(width);
+  };
+  const row = (date, reference, type, reason, debit, credit, fees, balance) => [
+    column(date, 10), column(reference, 21), column(type, 12), column(reason, 20),
+    column(debit, 10, true), column(credit, 10, true), column(fees, 7, true), column(balance, 11, true)
+  ].join(' ');
+  // Operation types are shared by both directions of a transfer or merchant payment - tell them apart by sens
+  const typeNames = Object.fromEntries(TRANSACTION_TYPES.map(type => [`${getOperationType(type)}:${CREDIT_TRANSACTION_TYPES.includes(type) ? 1 : 2}`, type]));
+
+  const lines = [
+    'CHARI - ACCOUNT STATEMENT',
+    '',
+    `Customer:        ${statement.customerName} (${statement.phoneNumber})`,
+    `Period:          ${statement.fromDate.slice(0, 10)} to ${statement.toDate.slice(0, 10)}`,
+    `Generated at:    ${statement.generatedAt}`,
+    `Currency:        ${statement.currency}`,
+    '',
+    row('Date', 'Reference', 'Type', 'Reason', 'Debit', 'Credit', 'Fees', 'Balance'),
+    '-'.repeat(108),
+    row(statement.fromDate.slice(0, 10), '', 'OPENING', 'Opening balance', '', '', '', money(statement.openingBalance)),
+    ...statement.operations.map(operation => row(
+      operation.transactionDate.slice(0, 10),
+      operation.transactionReference,
+      typeNames[`${operation.operationType}:${operation.sens}`],
+      operation.reason,
+      operation.sens === 2 ? money(operation.amount) : '',
+      operation.sens === 1 ? money(operation.amount) : '',
+      operation.feesAmount ? money(operation.feesAmount) : '',
+      money(operation.balanceAfter)
+    )),
+    row(statement.toDate.slice(0, 10), '', 'CLOSING', 'Closing balance', '', '', '', money(statement.closingBalance)),
+    '-'.repeat(108),
+    '',
+    `Operations:      ${statement.operationCount}`,
+    `Total credits:   ${money(statement.totalCredits)}`,
+    `Total debits:    ${money(statement.totalDebits)}`,
+    `Total fees:      ${money(statement.totalFees)}`,
+    `Opening balance: ${money(statement.openingBalance)}`,
+    `Closing balance: ${money(statement.closingBalance)}`
+  ];
+
+  return buildTextPdf(lines);
+};
+
+// Account Statement - GET /customers/statement
+// Query: phoneNumber, fromDate, toDate (default: the last 30 days), format (json, csv, pdf - or use the Accept header)
+app.get('/customers/statement', (req, res) => {
+  const { phoneNumber, fromDate, toDate, format } = req.query;
+
+  console.log(`[CHARI-STUB] Statement request for: ${phoneNumber}, from: ${fromDate}, to: ${toDate}, format: ${format || req.headers.accept}`);
+
+  if (!phoneNumber) {
+    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+  }
+
+  if (!customerExists(phoneNumber) && !mockData.transactions[phoneNumber]) {
+    return res.status(404).json(createErrorResponse(404, 'Customer not found'));
+  }
+
+  const to = toDate ? parseDateFilter(String(toDate), true) : Date.now();
+  const from = fromDate ? parseDateFilter(String(fromDate)) : to - 30 * 24 * 60 * 60 * 1000;
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json(createErrorResponse(400, 'fromDate and toDate must be ISO 8601 dates'));
+  }
+  if (from > to) {
+    return res.status(400).json(createErrorResponse(400, 'fromDate must be before toDate'));
+  }
+
+  // An explicit format wins over content negotiation
+  let statementFormat = format;
+  if (!statementFormat) {
+    const accepted = req.accepts(Object.values(STATEMENT_FORMATS));
+    statementFormat = Object.keys(STATEMENT_FORMATS).find(key => STATEMENT_FORMATS[key] === accepted);
+  }
+  if (!STATEMENT_FORMATS[statementFormat]) {
+    return res.status(406).json(createErrorResponse(406, `Statement format must be one of: ${Object.keys(STATEMENT_FORMATS).join(', ')}`));
+  }
+
+  const statement = buildStatement(phoneNumber, from, to);
+
+  console.log(`[CHARI-STUB] Statement for ${phoneNumber}: ${statement.operationCount} operations, ${statement.openingBalance} -> ${statement.closingBalance}`);
+
+  if (statementFormat === 'json') {
+    return res.json(createResponse(statement, req));
+  }
+
+  const fileName = `statement-${phoneNumber.replace('+', '')}-${statement.fromDate.slice(0, 10)}-${statement.toDate.slice(0, 10)}.${statementFormat}`;
+  res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.type(STATEMENT_FORMATS[statementFormat]);
+  res.send(statementFormat === 'csv' ? toStatementCsv(statement) : toStatementPdf(statement));
+});
+
+// Get Single Operation - GET /operations/:operationId
+app.get('/operations/:operationId', (req, res) => {
+  const { phoneNumber } = req.query;
+  const { operationId } = req.params;
+
+  console.log(`[CHARI-STUB] Get operation ${operationId} for: ${phoneNumber}`);
+
+  if (!phoneNumber) {
+    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+  }
+
+  const transactions = mockData.transactions[phoneNumber] || [];
+
+  // operationId can map to transactionId or be sequential
+  // Try to find by transaction ID first
+  const opIdInt = parseInt(operationId);
+  let transaction = transactions.find(tx => {
+    const txId = parseInt(tx.id.replace('TXN_', ''));
+    return txId === opIdInt;
+  });
+
+  // If not found by transaction ID, try by sequential index (1-based)
+  if (!transaction && opIdInt > 0 && opIdInt <= transactions.length) {
+    transaction = transactions[opIdInt - 1];
+  }
+
+  if (!transaction) {
+    return res.status(404).json(createErrorResponse(404, 'Operation not found'));
+  }
+
+  // Convert to operation format
+  const operation = transactionToOperation(transaction, phoneNumber, opIdInt);
+
+  console.log(`[CHARI-STUB] Found operation: ${operation.transactionId}`);
+  res.json(createResponse(operation, req));
+});
+
+// Beneficiary Management
+
+// Utility function to derive the numeric customer id from a phone number
+const getCustomerId = (phoneNumber) => Number(phoneNumber.replace(/\D/g, ''));
+
+// Utility function to get the next beneficiary id, unique across all customers
+const getNextBeneficiaryId = () => Object.values(mockData.beneficiaries)
+  .flat()
+  .reduce((max, beneficiary) => Math.max(max, beneficiary.id), 0) + 1;
+
+// Utility function to find a stored beneficiary of a customer by id
+const findBeneficiary = (phoneNumber, id) =>
+  (mockData.beneficiaries[phoneNumber] || []).find(beneficiary => beneficiary.id === parseInt(id)) || null;
+
+// Utility function to find another beneficiary of the customer with the same phone number or RIB
+const findDuplicateBeneficiary = (phoneNumber, { phoneNumber: beneficiaryPhone, rib }, excludeId = null) =>
+  (mockData.beneficiaries[phoneNumber] || []).find(beneficiary => beneficiary.id !== excludeId &&
+    ((beneficiaryPhone && beneficiary.phoneNumber === beneficiaryPhone) || (rib && beneficiary.rib === rib))) || null;
+
+// Utility function to check the customer owning the beneficiaries exists
+const customerExists = (phoneNumber) => (mockData.customers[phoneNumber]?.status || 0) > 0;
+
+// Get Beneficiaries - GET /customer/beneficiaries
+// Hidden beneficiaries are only listed with includeHidden=true
+app.get('/customer/beneficiaries', (req, res) => {
+  const { phoneNumber, pageSize = 10, pageNumber = 1, includeHidden } = req.query;
+
+  console.log(`[CHARI-STUB] Get beneficiaries for: ${phoneNumber}`);
+
+  if (!phoneNumber) {
+    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+  }
+
+  const beneficiaries = (mockData.beneficiaries[phoneNumber] || [])
+    .filter(beneficiary => includeHidden === 'true' || beneficiary.isVisible);
+
+  const startIndex = (parseInt(pageNumber) - 1) * parseInt(pageSize);
+  const endIndex = startIndex + parseInt(pageSize);
+  const paginatedBeneficiaries = beneficiaries.slice(startIndex, endIndex);
+
+  const response = {
+    collection: paginatedBeneficiaries,
+    count: beneficiaries.length
+  };
+
+  res.json(createResponse(response, req));
+});
+
+// Add Beneficiary - POST /customer/beneficiaries
+app.post('/customer/beneficiaries', idempotent, (req, res) => {
+  const { phoneNumber } = req.query;
+  const { name, phoneNumber: beneficiaryPhone, rib, email, isVisible = true } = req.body;
+
+  console.log(`[CHARI-STUB] Add beneficiary for: ${phoneNumber}`);
+
+  if (!phoneNumber || !name) {
+    return res.status(400).json(createErrorResponse(400, 'Phone number and name are required'));
+  }
+
+  if (!beneficiaryPhone && !rib) {
+    return res.status(400).json(createErrorResponse(400, 'Either phone number or RIB must be provided'));
+  }
+
+  if (!customerExists(phoneNumber)) {
+    return res.status(404).json(createErrorResponse(404, 'Customer not found'));
+  }
+
+  if (beneficiaryPhone === phoneNumber) {
+    return res.status(400).json(createErrorResponse(400, 'Cannot add yourself as a beneficiary'));
+  }
+
+  const duplicate = findDuplicateBeneficiary(phoneNumber, { phoneNumber: beneficiaryPhone, rib });
+  if (duplicate) {
+    return res.status(409).json(createErrorResponse(409, `Beneficiary already exists with id ${duplicate.id}`));
+  }
+
+  const newBeneficiary = {
+    id: getNextBeneficiaryId(),
+    customerId: getCustomerId(phoneNumber),
+    name,
+    phoneNumber: beneficiaryPhone || null,
+    createdAt: new Date().toISOString(),
+    isVisible: isVisible !== false,
+    rib: rib || null,
+    email: email || null
+  };
+
+  mockData.beneficiaries[phoneNumber] = [...(mockData.beneficiaries[phoneNumber] || []), newBeneficiary];
+
+  console.log(`[CHARI-STUB] Beneficiary ${newBeneficiary.id} added for: ${phoneNumber}`);
+  res.json(createResponse(newBeneficiary, req));
+});
+
+// Update Beneficiary - PUT /customer/beneficiaries/{id}
+app.put('/customer/beneficiaries/:id', (req, res) => {
+  const { phoneNumber } = req.query;
+  const { id } = req.params;
+  const { name, phoneNumber: beneficiaryPhone, rib, email, isVisible } = req.body;
+
+  console.log(`[CHARI-STUB] Update beneficiary ${id} for: ${phoneNumber}`);
+
+  if (!phoneNumber || !name) {
+    return res.status(400).json(createErrorResponse(400, 'Phone number and name are required'));
+  }
+
+  const beneficiary = findBeneficiary(phoneNumber, id);
+  if (!beneficiary) {
+    return res.status(404).json(createErrorResponse(404, 'Beneficiary not found'));
+  }
+
+  // Fields left out keep their current value
+  const updated = {
+    ...beneficiary,
+    name,
+    phoneNumber: beneficiaryPhone !== undefined ? beneficiaryPhone || null : beneficiary.phoneNumber,
+    rib: rib !== undefined ? rib || null : beneficiary.rib,
+    email: email !== undefined ? email || null : beneficiary.email,
+    isVisible: isVisible !== undefined ? isVisible !== false : beneficiary.isVisible
+  };
+
+  if (!updated.phoneNumber && !updated.rib) {
+    return res.status(400).json(createErrorResponse(400, 'Either phone number or RIB must be provided'));
+  }
+
+  if (updated.phoneNumber === phoneNumber) {
+    return res.status(400).json(createErrorResponse(400, 'Cannot add yourself as a beneficiary'));
+  }
+
+  const duplicate = findDuplicateBeneficiary(phoneNumber, updated, beneficiary.id);
+  if (duplicate) {
+    return res.status(409).json(createErrorResponse(409, `Beneficiary already exists with id ${duplicate.id}`));
+  }
+
+  Object.assign(beneficiary, updated);
+
+  const updatedBeneficiary = {
+    BeneficiaryId: beneficiary.id,
+    userId: beneficiary.customerId,
+    name: beneficiary.name,
+    phoneNumber: beneficiary.phoneNumber,
+    createdAt: beneficiary.createdAt,
+    isVisible: beneficiary.isVisible,
+    rib: beneficiary.rib,
+    email: beneficiary.email
+  };
+
+  res.json(createResponse(updatedBeneficiary, req));
+});
+
+// Delete Beneficiary - DELETE /customer/beneficiaries/{id}
+app.delete('/customer/beneficiaries/:id', (req, res) => {
+  const { phoneNumber } = req.query;
+  const { id } = req.params;
+
+  console.log(`[CHARI-STUB] Delete beneficiary ${id} for: ${phoneNumber}`);
+
+  if (!phoneNumber) {
+    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+  }
+
+  const beneficiary = findBeneficiary(phoneNumber, id);
+  if (!beneficiary) {
+    return res.status(404).json(createErrorResponse(404, 'Beneficiary not found'));
+  }
+
+  mockData.beneficiaries[phoneNumber] = mockData.beneficiaries[phoneNumber].filter(b => b !== beneficiary);
+
+  res.json(createResponse(true, req));
+});
+
+// Request Operations
+
+// Cash request settings - requests left pending past their TTL expire
+const CASH_REQUEST_TTL_SECONDS = readIntEnv('CHARI_STUB_CASH_REQUEST_TTL_SECONDS', 86400);
+
+// Cash request operation statuses
+const CASH_REQUEST_STATUS = {
+  PENDING: 1,
+  EXECUTED: 2,
+  CANCELLED: 3,
+  EXPIRED: 4
+};
+
+const CASH_REQUEST_KINDS = {
+  cashin: { operationType: 1, prefix: 'OR01', transactionType: 'CASHIN', feeKind: 'CASHIN', label: 'CashIn' },
+  cashout: { operationType: 2, prefix: 'OR02', transactionType: 'CASHOUT', feeKind: 'CASHOUT', label: 'CashOut' }
+};
+
+// Utility function to generate a cash request reference
+// Format: OR{opType}-{YYYYMMDDHH}{random 6 digits}
+const generateCashRequestReference = (prefix) => {
+  const now = new Date();
+  const timestamp = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}${String(now.getHours()).padStart(2, '0')}`;
+  let reference;
+  do {
+    reference = `${prefix}-${timestamp}${String(Math.floor(Math.random() * 1000000)).padStart(6, '0')}`;
+  } while (mockData.cashRequests[reference]);
+  return reference;
+};
+
+// Mark a pending request as expired once its TTL has passed
+const expireStaleCashRequest = (cashRequest) => {
+  if (cashRequest.operationStatus === CASH_REQUEST_STATUS.PENDING && cashRequest.expiresAt && new Date(cashRequest.expiresAt) <= new Date()) {
+    cashRequest.operationStatus = CASH_REQUEST_STATUS.EXPIRED;
+    cashRequest.closedAt = cashRequest.expiresAt;
+    console.log(`[CHARI-STUB] Cash request expired: ${cashRequest.reference}`);
+    emitWebhookEvent('cash_request.expired', toCashRequestResponse(cashRequest));
+  }
+  return cashRequest;
+};
+
+// Find a request by reference and kind, applying expiry
+const findCashRequest = (kind, reference) => {
+  const cashRequest = mockData.cashRequests[reference];
+  if (!cashRequest || cashRequest.operationType !== CASH_REQUEST_KINDS[kind].operationType) {
+    return null;
+  }
+  return expireStaleCashRequest(cashRequest);
+};
+
+// Response shape of a request when it is created or changes status
+const toCashRequestResponse = (cashRequest) => ({
+  createdAt: cashRequest.createdAt,
+  closedAt: cashRequest.closedAt,
+  executedAt: cashRequest.executedAt,
+  expiresAt: cashRequest.expiresAt,
+  reference: cashRequest.reference,
+  phoneNumber: cashRequest.phoneNumber,
+  accountId: cashRequest.accountId,
+  operationType: cashRequest.operationType,
+  operationStatus: cashRequest.operationStatus,
+  partnerId: cashRequest.partnerId,
+  amount: cashRequest.amount,
+  feesAmount: cashRequest.feesAmount,
+  description: cashRequest.description,
+  transactionReference: cashRequest.transactionReference
+});
+
+// Response shape of a request looked up by reference
+const toCashRequestLookup = (cashRequest) => ({
+  reference: cashRequest.reference,
+  entity: null,
+  createdAt: cashRequest.createdAt,
+  executedAt: cashRequest.executedAt,
+  closedAt: cashRequest.closedAt,
+  expiresAt: cashRequest.expiresAt,
+  phoneNumber: cashRequest.phoneNumber,
+  amount: cashRequest.amount,
+  feesAmount: cashRequest.feesAmount,
+  description: cashRequest.description,
+  partner: cashRequest.partner,
+  status: cashRequest.operationStatus,
+  type: cashRequest.operationType
+});
+
+// Create a pending request after checking the customer (and their balance for a cash-out)
+const createCashRequest = (kind, req, res) => {
+  const { amount, description } = req.body;
+  const { operationType, prefix, feeKind, label } = CASH_REQUEST_KINDS[kind];
+  // Accept the documented phoneNumber as well as the legacy PhoneNumber spelling
+  const PhoneNumber = req.body.phoneNumber || req.body.PhoneNumber;
+
+  console.log(`[CHARI-STUB] ${label} request for: ${PhoneNumber}, amount: ${amount}`);
+
+  if (!PhoneNumber || !amount) {
+    return res.status(400).json(createErrorResponse(400, 'Phone number and amount are required'));
+  }
+
+  const customerStatus = mockData.customers[PhoneNumber];
+  if (!customerStatus || customerStatus.status < 3) {
+    return res.status(400).json(createErrorResponse(400, 'Customer not found or not activated'));
+  }
+  if (customerStatus.status === 5) {
+    return res.status(403).json(createErrorResponse(403, 'Customer permanently locked'));
+  }
+
+  const requestAmount = parseFloat(amount);
+  const feesAmount = calculateFees(feeKind, requestAmount, getWalletType(PhoneNumber));
+
+  const limitError = checkWalletLimits(PhoneNumber, requestAmount, kind === 'cashin' ? requestAmount - feesAmount : 0);
+  if (limitError) {
+    return res.status(limitError.status).json(createLimitErrorResponse(limitError));
+  }
+
+  if (kind === 'cashout' && getBalance(PhoneNumber) < requestAmount + feesAmount) {
+    return res.status(400).json(createErrorResponse(400, 'Insufficient balance'));
+  }
+
+  const createdAt = new Date();
+  const cashRequest = {
+    reference: generateCashRequestReference(prefix),
+    createdAt: createdAt.toISOString(),
+    executedAt: null,
+    closedAt: null,
+    expiresAt: new Date(createdAt.getTime() + CASH_REQUEST_TTL_SECONDS * 1000).toISOString(),
+    phoneNumber: PhoneNumber,
+    accountId: 1,
+    operationType,
+    operationStatus: CASH_REQUEST_STATUS.PENDING,
+    ...getCurrentPartner(),
+    amount: requestAmount,
+    feesAmount,
+    description: description || `${label} request`,
+    transactionReference: null
+  };
+  mockData.cashRequests[cashRequest.reference] = cashRequest;
+
+  console.log(`[CHARI-STUB] ${label} request created: ${cashRequest.reference}`);
+  emitWebhookEvent('cash_request.created', toCashRequestResponse(cashRequest));
+  res.json(createResponse(toCashRequestResponse(cashRequest), req));
+};
+
+// Look up a request by reference
+const getCashRequest = (kind, req, res) => {
+  const { reference } = req.query;
+
+  console.log(`[CHARI-STUB] Get ${CASH_REQUEST_KINDS[kind].label} by reference: ${reference}`);
+
+  if (!reference) {
+    return res.status(400).json(createErrorResponse(400, 'Reference is required'));
+  }
+
+  const cashRequest = findCashRequest(kind, reference);
+  if (!cashRequest) {
+    return res.status(404).json(createErrorResponse(404, `${CASH_REQUEST_KINDS[kind].label} request not found`));
+  }
+
+  res.json(createResponse(toCashRequestLookup(cashRequest), req));
+};
+
+// Move a pending request to executed, cancelled or expired
+// Executing moves the money and writes the ledger entry, referencing the request
+const transitionCashRequest = (kind, targetStatus, req, res) => {
+  const reference = req.query.reference || req.body?.reference;
+  const { transactionType, label } = CASH_REQUEST_KINDS[kind];
+
+  console.log(`[CHARI-STUB] ${label} request ${reference} -> status ${targetStatus}`);
+
+  if (!reference) {
+    return res.status(400).json(createErrorResponse(400, 'Reference is required'));
+  }
+
+  const cashRequest = findCashRequest(kind, reference);
+  if (!cashRequest) {
+    return res.status(404).json(createErrorResponse(404, `${label} request not found`));
+  }
+
+  if (cashRequest.operationStatus !== CASH_REQUEST_STATUS.PENDING) {
+    const currentStatus = Object.keys(CASH_REQUEST_STATUS).find(name => CASH_REQUEST_STATUS[name] === cashRequest.operationStatus);
+    return res.status(409).json(createErrorResponse(409, `${label} request is already ${currentStatus.toLowerCase()}`));
+  }
+
+  const now = new Date().toISOString();
+
+  if (targetStatus === CASH_REQUEST_STATUS.EXECUTED) {
+    const { phoneNumber, amount, feesAmount } = cashRequest;
+    // Limits are checked again as other operations may have used them up since the request was created
+    const limitError = checkWalletLimits(phoneNumber, amount, kind === 'cashin' ? amount - feesAmount : 0);
+    if (limitError) {
+      return res.status(limitError.status).json(createLimitErrorResponse(limitError));
+    }
+
+    // Cash-in credits the amount minus fees, cash-out debits the amount plus fees
+    const balanceChange = kind === 'cashin' ? amount - feesAmount : -(amount + feesAmount);
+    if (getBalance(phoneNumber) + balanceChange < 0) {
+      return res.status(400).json(createErrorResponse(400, 'Insufficient balance'));
+    }
+
+    recordTransaction(phoneNumber, {
+      type: transactionType,
+      amount: kind === 'cashin' ? amount : -amount,
+      feesAmount,
+      date: now,
+      description: cashRequest.description,
+      reference: cashRequest.reference
+    });
+
+    cashRequest.executedAt = now;
+    cashRequest.transactionReference = cashRequest.reference;
+  }
+
+  cashRequest.operationStatus = targetStatus;
+  cashRequest.closedAt = now;
+
+  const eventNames = {
+    [CASH_REQUEST_STATUS.EXECUTED]: 'cash_request.executed',
+    [CASH_REQUEST_STATUS.CANCELLED]: 'cash_request.cancelled',
+    [CASH_REQUEST_STATUS.EXPIRED]: 'cash_request.expired'
+  };
+  emitWebhookEvent(eventNames[targetStatus], toCashRequestResponse(cashRequest));
+
+  res.json(createResponse(toCashRequestResponse(cashRequest), req));
+};
+
+// Request CashIn - POST /operations/cashin/request
+app.post('/operations/cashin/request', idempotent, (req, res) => createCashRequest('cashin', req, res));
+
+// Request CashOut - POST /operations/cashout/request
+app.post('/operations/cashout/request', idempotent, (req, res) => createCashRequest('cashout', req, res));
+
+// Get CashIn By Reference - GET /operations/cashin/request
+app.get('/operations/cashin/request', (req, res) => getCashRequest('cashin', req, res));
+
+// Get CashOut By Reference - GET /operations/cashout/request
+app.get('/operations/cashout/request', (req, res) => getCashRequest('cashout', req, res));
+
+// Execute, Cancel or Expire a CashIn/CashOut Request - POST /operations/{cashin|cashout}/request/{execute|cancel|expire}?reference=
+Object.keys(CASH_REQUEST_KINDS).forEach(kind => {
+  app.post(`/operations/${kind}/request/execute`, (req, res) => transitionCashRequest(kind, CASH_REQUEST_STATUS.EXECUTED, req, res));
+  app.post(`/operations/${kind}/request/cancel`, (req, res) => transitionCashRequest(kind, CASH_REQUEST_STATUS.CANCELLED, req, res));
+  app.post(`/operations/${kind}/request/expire`, (req, res) => transitionCashRequest(kind, CASH_REQUEST_STATUS.EXPIRED, req, res));
+});
+
+// Bill Payments
+
+// Biller catalog - referenceFormat is the pattern a contract or invoice reference must match
+const BILLER_CATEGORIES = [
+  { code: 'ELECTRICITY_WATER', label: 'Electricity & water' },
+  { code: 'TELECOM_INTERNET', label: 'Telecom & internet' },
+  { code: 'INSURANCE', label: 'Insurance' }
+];
+
+const BILLERS = [
+  { billerId: 'LYDEC', name: 'Lydec', category: 'ELECTRICITY_WATER', referenceLabel: 'Contract number', referenceFormat: '^\\d{10}$', referenceExample: '1234567890' },
+  { billerId: 'REDAL', name: 'Redal', category: 'ELECTRICITY_WATER', referenceLabel: 'Contract number', referenceFormat: '^\\d{9}$', referenceExample: '123456789' },
+  { billerId: 'ONEE', name: 'ONEE Electricity', category: 'ELECTRICITY_WATER', referenceLabel: 'Customer reference', referenceFormat: '^\\d{12}$', referenceExample: '100000000001' },
+  { billerId: 'IAM', name: 'Maroc Telecom', category: 'TELECOM_INTERNET', referenceLabel: 'Fixed line number', referenceFormat: '^05\\d{8}$', referenceExample: '0522000001' },
+  { billerId: 'ORANGE', name: 'Orange Internet', category: 'TELECOM_INTERNET', referenceLabel: 'Customer account', referenceFormat: '^\\d{8}$', referenceExample: '12345678' },
+  { billerId: 'RMA', name: 'RMA Assurance', category: 'INSURANCE', referenceLabel: 'Policy number', referenceFormat: '^POL-\\d{6}$', referenceExample: 'POL-000123' }
+];
+
+// Utility function to check that a customer can make a payment
+// Returns { status, error } describing the problem, or null when the customer is active
+const validatePayingCustomer = (phoneNumber) => {
+  const customerStatus = mockData.customers[phoneNumber];
+  if (!customerStatus || customerStatus.status < 3) {
+    return { status: 400, error: 'Customer not found or not activated' };
+  }
+  if (customerStatus.status === 5) {
+    return { status: 403, error: 'Customer permanently locked' };
+  }
+  return null;
+};
+
+// Utility function to find a biller contract from a billerId and reference
+// Returns { biller, contract } or { status, error }
+const findBillContract = (billerId, reference) => {
+  const biller = BILLERS.find(b => b.billerId === billerId);
+  if (!biller) {
+    return { status: 404, error: `Unknown biller: ${billerId}` };
+  }
+  if (!new RegExp(biller.referenceFormat).test(reference)) {
+    return { status: 400, error: `Invalid ${biller.referenceLabel.toLowerCase()} for ${biller.name}, expected e.g. ${biller.referenceExample}` };
+  }
+
+  const contract = mockData.bills[`${billerId}:${reference}`];
+  if (!contract) {
+    return { status: 404, error: `No ${biller.name} contract found for ${reference}` };
+  }
+  return { biller, contract };
+};
+
+// Utility function to pick the invoices to pay - every unpaid one when invoiceIds is omitted
+// Returns { invoices } or { status, error }
+const selectInvoices = (contract, invoiceIds) => {
+  const unpaid = contract.invoices.filter(invoice => invoice.status === 'UNPAID');
+  if (!invoiceIds || invoiceIds.length === 0) {
+    return unpaid.length > 0 ? { invoices: unpaid } : { status: 400, error: 'No outstanding invoice to pay' };
+  }
+
+  const invoices = [];
+  for (const invoiceId of new Set(invoiceIds)) {
+    const invoice = contract.invoices.find(i => i.invoiceId === invoiceId);
+    if (!invoice) {
+      return { status: 404, error: `Invoice not found: ${invoiceId}` };
+    }
+    if (invoice.status !== 'UNPAID') {
+      return { status: 409, error: `Invoice ${invoiceId} is already paid` };
+    }
+    invoices.push(invoice);
+  }
+  return { invoices };
+};
+
+// Check a bill payment request from the customer to the amount, shared by preview and execute
+// Returns { biller, contract, invoices, amount, feesAmount, totalAmount } or { status, error }
+const prepareBillPayment = (body) => {
+  const { customerPhoneNumber, billerId, reference, invoiceIds } = body;
+
+  if (!customerPhoneNumber || !billerId || !reference) {
+    return { status: 400, error: 'Missing required fields' };
+  }
+
+  const customerError = validatePayingCustomer(customerPhoneNumber);
+  if (customerError) {
+    return customerError;
+  }
+
+  const found = findBillContract(billerId, reference);
+  if (found.error) {
+    return found;
+  }
+
+  const selected = selectInvoices(found.contract, invoiceIds);
+  if (selected.error) {
+    return selected;
+  }
+
+  const amount = parseFloat(selected.invoices.reduce((sum, invoice) => sum + invoice.amount, 0).toFixed(2));
+  const limitError = checkWalletLimits(customerPhoneNumber, amount);
+  if (limitError) {
+    return limitError;
+  }
+
+  const feesAmount = calculateFees('BILL_PAYMENT', amount, getWalletType(customerPhoneNumber));
+  const totalAmount = parseFloat((amount + feesAmount).toFixed(2));
+  return { ...found, invoices: selected.invoices, amount, feesAmount, totalAmount };
+};
+
+// Utility function to send the error of a failed payment check, with the limit details when a wallet limit was exceeded
+const sendPaymentError = (res, failure) => res.status(failure.status).json(
+  failure.limitCode ? createLimitErrorResponse(failure) : createErrorResponse(failure.status, failure.error)
+);
+
+// Response shape of a contract's outstanding invoices
+const toBillResponse = (biller, contract) => {
+  const invoices = contract.invoices.filter(invoice => invoice.status === 'UNPAID');
+  return {
+    billerId: biller.billerId,
+    billerName: biller.name,
+    category: biller.category,
+    reference: contract.reference,
+    customerName: contract.customerName,
+    currency: 'MAD',
+    invoices: invoices.map(({ invoiceId, period, description, amount, dueDate }) => ({ invoiceId, period, description, amount, dueDate })),
+    totalDue: parseFloat(invoices.reduce((sum, invoice) => sum + invoice.amount, 0).toFixed(2))
+  };
+};
+
+// Biller Catalog - GET /billers
+app.get('/billers', (req, res) => {
+  const { category } = req.query;
+
+  console.log(`[CHARI-STUB] Biller catalog request${category ? ` for category: ${category}` : ''}`);
+
+  if (category && !BILLER_CATEGORIES.some(c => c.code === category)) {
+    return res.status(400).json(createErrorResponse(400, `Unknown category: ${category}`));
+  }
+
+  const billers = BILLERS.filter(biller => !category || biller.category === category);
+  res.json(createResponse({ categories: BILLER_CATEGORIES, billers }, req));
+});
+
+// Bill Lookup - GET /billers/:billerId/bills?reference=
+app.get('/billers/:billerId/bills', (req, res) => {
+  const { billerId } = req.params;
+  const { reference } = req.query;
+
+  console.log(`[CHARI-STUB] Bill lookup for ${billerId}: ${reference}`);
+
+  if (!reference) {
+    return res.status(400).json(createErrorResponse(400, 'Reference is required'));
+  }
+
+  const found = findBillContract(billerId, reference);
+  if (found.error) {
+    return res.status(found.status).json(createErrorResponse(found.status, found.error));
+  }
+
+  res.json(createResponse(toBillResponse(found.biller, found.contract), req));
+});
+
+// Bill Payment Preview - POST /operations/bill/preview
+app.post('/operations/bill/preview', (req, res) => {
+  const { customerPhoneNumber, billerId, reference } = req.body;
+
+  console.log(`[CHARI-STUB] Bill payment preview for: ${customerPhoneNumber}, biller: ${billerId}, reference: ${reference}`);
+
+  const payment = prepareBillPayment(req.body);
+  if (payment.error) {
+    return sendPaymentError(res, payment);
+  }
+
+  const previewResponse = {
+    type: 4,
+    operation: {
+      customerPhoneNumber,
+      billerId,
+      reference,
+      invoiceIds: payment.invoices.map(invoice => invoice.invoiceId)
+    },
+    amount: payment.amount,
+    feesAmount: payment.feesAmount,
+    totalAmount: payment.totalAmount,
+    checkedAt: new Date().toISOString(),
+    openLoop: false
+  };
+
+  res.json(createResponse(previewResponse, req));
+});
+
+// Bill Payment Execute - POST /operations/bill
+// Debits the invoices' total plus fees, records a BILL_PAYMENT and marks the invoices paid
+app.post('/operations/bill', idempotent, (req, res) => {
+  const { customerPhoneNumber, billerId, reference } = req.body;
+
+  console.log(`[CHARI-STUB] Bill payment execution for: ${customerPhoneNumber}, biller: ${billerId}, reference: ${reference}`);
+
+  const payment = prepareBillPayment(req.body);
+  if (payment.error) {
+    return sendPaymentError(res, payment);
+  }
+
+  const { biller, contract, invoices, amount, feesAmount, totalAmount } = payment;
+  if (getBalance(customerPhoneNumber) < totalAmount) {
+    return res.status(400).json(createErrorResponse(400, 'Insufficient balance'));
+  }
+
+  const date = new Date().toISOString();
+  const transactionReference = generateTransactionReference({ id: getNextTransactionId(customerPhoneNumber), date }, 4);
+  const invoiceIds = invoices.map(invoice => invoice.invoiceId);
+
+  const tx = recordTransaction(customerPhoneNumber, {
+    type: 'BILL_PAYMENT',
+    amount: -amount,
+    feesAmount,
+    date,
+    description: `${biller.name} bill ${contract.reference}`,
+    reference: transactionReference,
+    beneficiaryName: biller.name
+  });
+
+  invoices.forEach(invoice => {
+    invoice.status = 'PAID';
+    invoice.paidAt = date;
+    invoice.transactionReference = transactionReference;
+  });
+
+  console.log(`[CHARI-STUB] Bill payment ${transactionReference} executed, invoices paid: ${invoiceIds.join(', ')}`);
+
+  emitWebhookEvent('bill_payment.executed', {
+    transactionReference,
+    customerPhoneNumber,
+    billerId,
+    reference: contract.reference,
+    invoiceIds,
+    amount,
+    feesAmount,
+    totalAmount,
+    executedAt: date
+  });
+
+  const paymentResponse = {
+    operationType: 4,
+    billerId,
+    reference: contract.reference,
+    invoiceIds,
+    amount,
+    feesAmount,
+    totalAmount,
+    transactionId: parseInt(tx.id.replace('TXN_', '')),
+    transactionReference,
+    checkedAt: date
+  };
+
+  res.json(createResponse(paymentResponse, req));
+});
+
+// Airtime Top-up
+
+// Mobile operators, detected from the first three digits of the number in local format (06x/07x)
+const TOPUP_OPERATORS = [
+  { operatorId: 'IAM', name: 'Maroc Telecom', prefixes: ['061', '062', '066', '067', '068', '070', '071', '076'] },
+  { operatorId: 'ORANGE', name: 'Orange', prefixes: ['060', '064', '065', '069', '072', '077'] },
+  { operatorId: 'INWI', name: 'inwi', prefixes: ['063', '073', '078', '079'] }
+];
+
+// Airtime denominations offered by every operator, then each operator's bundles
+const TOPUP_DENOMINATIONS = [10, 20, 30, 50, 100, 200];
+
+const TOPUP_PRODUCTS = [
+  ...TOPUP_OPERATORS.flatMap(({ operatorId }) => TOPUP_DENOMINATIONS.map(amount => ({
+    productId: `${operatorId}-AIRTIME-${amount}`,
+    operatorId,
+    type: 'AIRTIME',
+    name: `Recharge ${amount} MAD`,
+    amount,
+    validityDays: null
+  }))),
+  { productId: 'IAM-PASS-1GB', operatorId: 'IAM', type: 'BUNDLE', name: 'Pass Internet 1 Go', amount: 10, validityDays: 3 },
+  { productId: 'IAM-PASS-5GB', operatorId: 'IAM', type: 'BUNDLE', name: 'Pass Internet 5 Go', amount: 50, validityDays: 30 },
+  { productId: 'ORANGE-PASS-2GB', operatorId: 'ORANGE', type: 'BUNDLE', name: 'Pass 2 Go', amount: 20, validityDays: 7 },
+  { productId: 'ORANGE-PASS-10GB', operatorId: 'ORANGE', type: 'BUNDLE', name: 'Pass 10 Go', amount: 100, validityDays: 30 },
+  { productId: 'INWI-PASS-3GB', operatorId: 'INWI', type: 'BUNDLE', name: 'Pass Internet 3 Go', amount: 20, validityDays: 7 },
+  { productId: 'INWI-PASS-12GB', operatorId: 'INWI', type: 'BUNDLE', name: 'Pass Internet 12 Go', amount: 100, validityDays: 30 }
+];
+
+// Simulated recharge failures - adjustable at runtime through PUT /__admin/topup
+// Operators listed in unavailableOperators are down (503); recipients ending in rejectedSuffix are refused by their operator (502)
+const topupPolicy = definePartnerSetting('topupPolicy', () => ({
+  unavailableOperators: [],
+  rejectedSuffix: '9999'
+}));
+
+// Utility function to find the operator of a Moroccan mobile number, null when it has none
+const detectOperator = (phoneNumber) => {
+  const match = /^\+212([67]\d{8})$/.exec(phoneNumber || '');
+  if (!match) {
+    return null;
+  }
+  const localNumber = `0${match[1]}`;
+  return TOPUP_OPERATORS.find(operator => operator.prefixes.some(prefix => localNumber.startsWith(prefix))) || null;
+};
+
+// Response shape of an operator with its products
+const toOperatorResponse = (operator) => ({
+  operatorId: operator.operatorId,
+  name: operator.name,
+  prefixes: operator.prefixes,
+  available: !topupPolicy.unavailableOperators.includes(operator.operatorId),
+  products: TOPUP_PRODUCTS.filter(product => product.operatorId === operator.operatorId)
+});
+
+// Check a top-up request from the customer to the amount, shared by preview and execute
+// The customer tops up their own number unless recipientPhoneNumber is given
+// Returns { operator, product, recipientPhoneNumber, amount, feesAmount, totalAmount } or { status, error }
+const prepareTopup = (body) => {
+  const { customerPhoneNumber, productId } = body;
+  const recipientPhoneNumber = body.recipientPhoneNumber || customerPhoneNumber;
+
+  if (!customerPhoneNumber || !productId) {
+    return { status: 400, error: 'Missing required fields' };
+  }
+
+  const customerError = validatePayingCustomer(customerPhoneNumber);
+  if (customerError) {
+    return customerError;
+  }
+
+  const operator = detectOperator(recipientPhoneNumber);
+  if (!operator) {
+    return { status: 400, error: `Unsupported phone number: ${recipientPhoneNumber} is not a Moroccan mobile number of a supported operator` };
+  }
+
+  const product = TOPUP_PRODUCTS.find(p => p.productId === productId);
+  if (!product) {
+    return { status: 404, error: `Unknown product: ${productId}` };
+  }
+  if (product.operatorId !== operator.operatorId) {
+    return { status: 400, error: `Product ${productId} is not offered by ${operator.name}` };
+  }
+
+  if (topupPolicy.unavailableOperators.includes(operator.operatorId)) {
+    return { status: 503, error: `${operator.name} is temporarily unavailable, please retry later` };
+  }
+
+  const limitError = checkWalletLimits(customerPhoneNumber, product.amount);
+  if (limitError) {
+    return limitError;
+  }
+
+  const feesAmount = calculateFees('TOPUP', product.amount, getWalletType(customerPhoneNumber));
+  const totalAmount = parseFloat((product.amount + feesAmount).toFixed(2));
+  return { operator, product, recipientPhoneNumber, amount: product.amount, feesAmount, totalAmount };
+};
+
+// Top-up Operators - GET /topup/operators
+// With phoneNumber, only the operator of that number
+app.get('/topup/operators', (req, res) => {
+  const { phoneNumber } = req.query;
+
+  console.log(`[CHARI-STUB] Top-up operators request${phoneNumber ? ` for: ${phoneNumber}` : ''}`);
+
+  if (!phoneNumber) {
+    return res.json(createResponse({ operators: TOPUP_OPERATORS.map(toOperatorResponse) }, req));
+  }
+
+  const operator = detectOperator(phoneNumber);
+  if (!operator) {
+    return res.status(400).json(createErrorResponse(400, `Unsupported phone number: ${phoneNumber} is not a Moroccan mobile number of a supported operator`));
+  }
+
+  res.json(createResponse({ phoneNumber, operators: [toOperatorResponse(operator)] }, req));
+});
+
+// Top-up Preview - POST /operations/topup/preview
+app.post('/operations/topup/preview', (req, res) => {
+  const { customerPhoneNumber, productId } = req.body;
+
+  console.log(`[CHARI-STUB] Top-up preview for: ${customerPhoneNumber}, product: ${productId}`);
+
+  const topup = prepareTopup(req.body);
+  if (topup.error) {
+    return sendPaymentError(res, topup);
+  }
+
+  const previewResponse = {
+    type: 5,
+    operation: {
+      customerPhoneNumber,
+      recipientPhoneNumber: topup.recipientPhoneNumber,
+      operatorId: topup.operator.operatorId,
+      productId
+    },
+    amount: topup.amount,
+    feesAmount: topup.feesAmount,
+    totalAmount: topup.totalAmount,
+    checkedAt: new Date().toISOString(),
+    openLoop: false
+  };
+
+  res.json(createResponse(previewResponse, req));
+});
+
+// Top-up Execute - POST /operations/topup
+// Debits the product amount plus fees and records a TOPUP operation (type 5) - nothing is debited when the operator refuses it
+app.post('/operations/topup', idempotent, (req, res) => {
+  const { customerPhoneNumber, productId } = req.body;
+
+  console.log(`[CHARI-STUB] Top-up execution for: ${customerPhoneNumber}, product: ${productId}`);
+
+  const topup = prepareTopup(req.body);
+  if (topup.error) {
+    return sendPaymentError(res, topup);
+  }
+
+  const { operator, product, recipientPhoneNumber, amount, feesAmount, totalAmount } = topup;
+  if (getBalance(customerPhoneNumber) < totalAmount) {
+    return res.status(400).json(createErrorResponse(400, 'Insufficient balance'));
+  }
+
+  if (topupPolicy.rejectedSuffix && recipientPhoneNumber.endsWith(topupPolicy.rejectedSuffix)) {
+    console.log(`[CHARI-STUB] Top-up of ${recipientPhoneNumber} rejected by ${operator.name}`);
+    return res.status(502).json(createErrorResponse(502, `Recharge rejected by ${operator.name}`));
+  }
+
+  const date = new Date().toISOString();
+  const transactionReference = generateTransactionReference({ id: getNextTransactionId(customerPhoneNumber), date }, 5);
+
+  const tx = recordTransaction(customerPhoneNumber, {
+    type: 'TOPUP',
+    amount: -amount,
+    feesAmount,
+    date,
+    description: `${operator.name} ${product.name} for ${recipientPhoneNumber}`,
+    reference: transactionReference,
+    counterparty: recipientPhoneNumber,
+    beneficiaryName: operator.name
+  });
+
+  console.log(`[CHARI-STUB] Top-up ${transactionReference} executed: ${product.productId} for ${recipientPhoneNumber}`);
+
+  emitWebhookEvent('topup.executed', {
+    transactionReference,
+    customerPhoneNumber,
+    recipientPhoneNumber,
+    operatorId: operator.operatorId,
+    productId: product.productId,
+    amount,
+    feesAmount,
+    totalAmount,
+    executedAt: date
+  });
+
+  const topupResponse = {
+    operationType: 5,
+    recipientPhoneNumber,
+    operatorId: operator.operatorId,
+    productId: product.productId,
+    amount,
+    feesAmount,
+    totalAmount,
+    transactionId: parseInt(tx.id.replace('TXN_', '')),
+    transactionReference,
+    checkedAt: date
+  };
+
+  res.json(createResponse(topupResponse, req));
+});
+
+// Merchant QR Payments
+// QR payloads follow the EMVCo merchant-presented format: tag, two-digit length and value fields, ending with a CRC
+// Static codes carry only the merchant, dynamic codes also carry the amount and an optional order reference
+
+const MERCHANT_QR_GUID = 'ma.chari.pay';
+const MERCHANT_STATUSES = ['ACTIVE', 'SUSPENDED'];
+
+// Utility function to compute the CRC-16/CCITT-FALSE checksum that ends a QR payload
+const computeQrCrc = (text) => {
+  let crc = 0xFFFF;
+  for (const byte of Buffer.from(text, 'utf8')) {
+    crc ^= byte << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+    }
+  }
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+};
+
+// Utility function to encode one QR field
+const toQrField = (tag, value) => `${tag}${String(value.length).padStart(2, '0')}${value}`;
+
+// Utility function to split a QR payload into its fields, null when it is malformed
+const parseQrFields = (text) => {
+  const fields = {};
+  let index = 0;
+  while (index < text.length) {
+    const tag = text.slice(index, index + 2);
+    const length = text.slice(index + 2, index + 4);
+    if (!/^\d{2}$/.test(tag) || !/^\d{2}$/.test(length) || index + 4 + Number(length) > text.length) {
+      return null;
+    }
+    fields[tag] = text.slice(index + 4, index + 4 + Number(length));
+    index += 4 + Number(length);
+  }
+  return fields;
+};
+
+// Build the QR payload of a merchant - dynamic when an amount is given
+const encodeMerchantQr = (merchant, amount = null, orderReference = null) => {
+  const payload = [
+    toQrField('00', '01'),
+    toQrField('01', amount === null ? '11' : '12'),
+    toQrField('26', toQrField('00', MERCHANT_QR_GUID) + toQrField('01', merchant.merchantId)),
+    toQrField('52', merchant.mcc),
+    toQrField('53', '504'), // MAD
+    amount === null ? '' : toQrField('54', amount.toFixed(2)),
+    toQrField('58', 'MA'),
+    toQrField('59', merchant.name.slice(0, 25)),
+    toQrField('60', merchant.city.slice(0, 15)),
+    orderReference ? toQrField('62', toQrField('05', orderReference)) : '',
+    '6304'
+  ].join('');
+  return payload + computeQrCrc(payload);
+};
+
+// Decode a QR payload, returning { error } or { merchantId, type, amount, orderReference, mcc, merchantName, city, currency }
+const decodeMerchantQr = (payload) => {
+  if (typeof payload !== 'string' || payload.length < 8 || payload.slice(-8, -4) !== '6304') {
+    return { error: 'QR payload must end with a 6304 CRC field' };
+  }
+  if (computeQrCrc(payload.slice(0, -4)) !== payload.slice(-4).toUpperCase()) {
+    return { error: 'QR payload CRC does not match' };
+  }
+
+  const fields = parseQrFields(payload.slice(0, -8));
+  const account = fields && fields['26'] ? parseQrFields(fields['26']) : null;
+  if (!fields || fields['00'] !== '01' || !account || account['00'] !== MERCHANT_QR_GUID || !account['01']) {
+    return { error: 'QR payload is not a Chari merchant code' };
+  }
+  if (fields['53'] !== '504') {
+    return { error: 'QR payload currency must be MAD (504)' };
+  }
+
+  const amount = fields['54'] === undefined ? null : Number(fields['54']);
+  if (amount !== null && !(amount > 0)) {
+    return { error: 'QR payload amount must be a positive number' };
+  }
+  const additionalData = fields['62'] ? parseQrFields(fields['62']) : null;
+
+  return {
+    merchantId: account['01'],
+    type: fields['01'] === '12' ? 'DYNAMIC' : 'STATIC',
+    amount,
+    orderReference: additionalData?.['05'] || null,
+    mcc: fields['52'] || null,
+    merchantName: fields['59'] || null,
+    city: fields['60'] || null,
+    currency: 'MAD'
+  };
+};
+
+// Response shape of a merchant, without its payments
+const toMerchantResponse = ({ merchantId, name, mcc, city, status }) => ({ merchantId, name, mcc, city, status });
+
+// Check a merchant payment request from the customer to the amount, shared by preview and pay
+// The merchant and amount come from qrPayload, or from merchantId and amount without a QR code
+// Returns { merchant, amount, orderReference, feesAmount, totalAmount } or { status, error }
+const prepareMerchantPayment = (body) => {
+  const { customerPhoneNumber, qrPayload } = body;
+  let { merchantId, amount } = body;
+  let orderReference = body.orderReference || null;
+
+  if (!customerPhoneNumber || (!qrPayload && !merchantId)) {
+    return { status: 400, error: 'Missing required fields' };
+  }
+
+  const customerError = validatePayingCustomer(customerPhoneNumber);
+  if (customerError) {
+    return customerError;
+  }
+
+  if (qrPayload) {
+    const decoded = decodeMerchantQr(qrPayload);
+    if (decoded.error) {
+      return { status: 400, error: `Invalid QR code: ${decoded.error}` };
+    }
+    merchantId = decoded.merchantId;
+    if (decoded.amount !== null) {
+      if (amount !== undefined && parseFloat(amount) !== decoded.amount) {
+        return { status: 400, error: `Amount does not match the QR code amount of ${decoded.amount} MAD` };
+      }
+      amount = decoded.amount;
+      orderReference = decoded.orderReference;
+    }
+  }
+
+  const merchant = mockData.merchants[merchantId];
+  if (!merchant) {
+    return { status: 404, error: 'Merchant not found' };
+  }
+  if (merchant.status !== 'ACTIVE') {
+    return { status: 400, error: `${merchant.name} is not accepting payments` };
+  }
+
+  if (!(parseFloat(amount) > 0)) {
+    return { status: 400, error: 'Amount is required for a static QR code' };
+  }
+  const paymentAmount = parseFloat(parseFloat(amount).toFixed(2));
+
+  const limitError = checkWalletLimits(customerPhoneNumber, paymentAmount);
+  if (limitError) {
+    return limitError;
+  }
+
+  const feesAmount = calculateFees('MERCHANT_PAYMENT', paymentAmount, getWalletType(customerPhoneNumber));
+  const totalAmount = parseFloat((paymentAmount + feesAmount).toFixed(2));
+  return { merchant, amount: paymentAmount, orderReference, feesAmount, totalAmount };
+};
+
+// Get Merchant - GET /merchants/:merchantId
+app.get('/merchants/:merchantId', (req, res) => {
+  const merchant = mockData.merchants[req.params.merchantId];
+
+  console.log(`[CHARI-STUB] Merchant request for: ${req.params.merchantId}`);
+
+  if (!merchant) {
+    return res.status(404).json(createErrorResponse(404, 'Merchant not found'));
+  }
+
+  res.json(createResponse(toMerchantResponse(merchant), req));
+});
+
+// Merchant Payments - GET /merchants/:merchantId/payments
+// The merchant's balance and the payments it received, newest first, with their refunds
+app.get('/merchants/:merchantId/payments', (req, res) => {
+  const merchant = mockData.merchants[req.params.merchantId];
+
+  console.log(`[CHARI-STUB] Merchant payments request for: ${req.params.merchantId}`);
+
+  if (!merchant) {
+    return res.status(404).json(createErrorResponse(404, 'Merchant not found'));
+  }
+
+  res.json(createResponse({
+    ...toMerchantResponse(merchant),
+    balance: merchant.balance,
+    currency: 'MAD',
+    payments: merchant.payments
+  }, req));
+});
+
+// Generate Merchant QR - POST /merchants/:merchantId/qr
+// Body: { amount, orderReference } - both optional, a static code is generated without an amount
+app.post('/merchants/:merchantId/qr', (req, res) => {
+  const { merchantId } = req.params;
+  const { amount, orderReference } = req.body || {};
+
+  console.log(`[CHARI-STUB] QR generation for merchant: ${merchantId}, amount: ${amount ?? 'none'}`);
+
+  const merchant = mockData.merchants[merchantId];
+  if (!merchant) {
+    return res.status(404).json(createErrorResponse(404, 'Merchant not found'));
+  }
+  if (amount !== undefined && amount !== null && !(parseFloat(amount) > 0)) {
+    return res.status(400).json(createErrorResponse(400, 'Amount must be a positive number'));
+  }
+  if (orderReference && (amount === undefined || amount === null)) {
+    return res.status(400).json(createErrorResponse(400, 'orderReference requires an amount'));
+  }
+  if (orderReference && !/^[\x20-\x7e]{1,25}$/.test(orderReference)) {
+    return res.status(400).json(createErrorResponse(400, 'orderReference must be 1 to 25 printable ASCII characters'));
+  }
+
+  const qrAmount = amount === undefined || amount === null ? null : parseFloat(parseFloat(amount).toFixed(2));
+  res.json(createResponse({
+    merchantId,
+    type: qrAmount === null ? 'STATIC' : 'DYNAMIC',
+    amount: qrAmount,
+    orderReference: orderReference || null,
+    payload: encodeMerchantQr(merchant, qrAmount, orderReference || null)
+  }, req));
+});
+
+// Decode Merchant QR - POST /qr/decode
+app.post('/qr/decode', (req, res) => {
+  const { payload } = req.body || {};
+
+  console.log(`[CHARI-STUB] QR decode request`);
+
+  const decoded = decodeMerchantQr(payload);
+  if (decoded.error) {
+    return res.status(400).json(createErrorResponse(400, `Invalid QR code: ${decoded.error}`));
+  }
+
+  const merchant = mockData.merchants[decoded.merchantId];
+  if (!merchant) {
+    return res.status(404).json(createErrorResponse(404, 'Merchant not found'));
+  }
+
+  res.json(createResponse({ ...decoded, merchant: toMerchantResponse(merchant) }, req));
 });
 
-// Utility function to convert transaction type to operation type code
-const getOperationType = (transactionType) => {
-  const typeMap = {
-    'CASHIN': 1,
-    'CASHOUT': 2,
-    'TRANSFER_IN': 3,
-    'TRANSFER_OUT': 3,
-    'BILL_PAYMENT': 4
+// Merchant Payment Preview - POST /operations/merchant/preview
+app.post('/operations/merchant/preview', (req, res) => {
+  const { customerPhoneNumber } = req.body;
+
+  console.log(`[CHARI-STUB] Merchant payment preview for: ${customerPhoneNumber}`);
+
+  const payment = prepareMerchantPayment(req.body);
+  if (payment.error) {
+    return sendPaymentError(res, payment);
+  }
+
+  const previewResponse = {
+    type: 6,
+    operation: {
+      customerPhoneNumber,
+      merchantId: payment.merchant.merchantId,
+      merchantName: payment.merchant.name,
+      orderReference: payment.orderReference
+    },
+    amount: payment.amount,
+    feesAmount: payment.feesAmount,
+    totalAmount: payment.totalAmount,
+    checkedAt: new Date().toISOString(),
+    openLoop: false
   };
-  return typeMap[transactionType] || 0;
-};
 
-// Utility function to convert transaction status to numeric code
-const getTransactionStatus = (status) => {
-  return status === 'COMPLETED' ? 2 : 1; // 1 = pending, 2 = completed
-};
+  res.json(createResponse(previewResponse, req));
+});
 
-// Utility function to generate transaction reference
-const generateTransactionReference = (tx, operationType) => {
-  const date = new Date(tx.date);
-  const year = String(date.getFullYear()).slice(-2);
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  const hour = String(date.getHours()).padStart(2, '0');
-  const txId = tx.id.replace('TXN_', '');
+// Merchant Payment - POST /operations/merchant/pay
+// Debits the customer, credits the merchant and records a MERCHANT_PAYMENT operation (type 6)
+app.post('/operations/merchant/pay', idempotent, (req, res) => {
+  const { customerPhoneNumber } = req.body;
 
-  // Format: T{opType}{opType}-{YYMMDD}{HH}-{txId}
-  const opTypeStr = String(operationType).padStart(2, '0');
-  return `T${opTypeStr}${opTypeStr}-${year}${month}${day}${hour}-${txId}`;
-};
+  console.log(`[CHARI-STUB] Merchant payment execution for: ${customerPhoneNumber}`);
 
-// Utility function to extract phone numbers from transaction description
-const extractPhoneNumbers = (tx, customerPhone) => {
-  let sender = null;
-  let receiver = null;
-  let beneficiary = null;
+  const payment = prepareMerchantPayment(req.body);
+  if (payment.error) {
+    return sendPaymentError(res, payment);
+  }
 
-  if (tx.type === 'TRANSFER_OUT') {
-    sender = customerPhone;
-    // Try to extract receiver from description
-    const phoneMatch = tx.description.match(/\+212\d{9}/);
-    receiver = phoneMatch ? phoneMatch[0] : null;
-    beneficiary = tx.description;
-  } else if (tx.type === 'TRANSFER_IN') {
-    receiver = customerPhone;
-    // Try to extract sender from description
-    const phoneMatch = tx.description.match(/\+212\d{9}/);
-    sender = phoneMatch ? phoneMatch[0] : null;
-    beneficiary = tx.description;
-  } else if (tx.type === 'CASHIN') {
-    receiver = customerPhone;
-    sender = customerPhone;
-  } else if (tx.type === 'CASHOUT') {
-    sender = customerPhone;
-    receiver = customerPhone;
-  } else {
-    // BILL_PAYMENT
-    sender = customerPhone;
-    receiver = null;
+  const { merchant, amount, orderReference, feesAmount, totalAmount } = payment;
+  if (getBalance(customerPhoneNumber) < totalAmount) {
+    return res.status(400).json(createErrorResponse(400, 'Insufficient balance'));
   }
 
-  return { sender, receiver, beneficiary };
-};
+  const date = new Date().toISOString();
+  const transactionReference = generateTransactionReference({ id: getNextTransactionId(customerPhoneNumber), date }, 6);
+
+  const tx = recordTransaction(customerPhoneNumber, {
+    type: 'MERCHANT_PAYMENT',
+    amount: -amount,
+    feesAmount,
+    date,
+    description: `Payment to ${merchant.name}${orderReference ? ` - ${orderReference}` : ''}`,
+    reference: transactionReference,
+    counterparty: merchant.merchantId,
+    beneficiaryName: merchant.name
+  });
 
-// Utility function to convert transaction to operation format
-const transactionToOperation = (tx, phoneNumber, operationId = null) => {
-  const opType = getOperationType(tx.type);
-  const amount = Math.abs(tx.amount);
-  const { sender, receiver, beneficiary } = extractPhoneNumbers(tx, phoneNumber);
+  merchant.balance = parseFloat((merchant.balance + amount).toFixed(2));
+  merchant.payments.unshift({
+    transactionReference,
+    customerPhoneNumber,
+    amount,
+    refundedAmount: 0,
+    orderReference,
+    date,
+    refunds: []
+  });
 
-  return {
-    operationId: operationId,
+  console.log(`[CHARI-STUB] Merchant payment ${transactionReference} executed: ${amount} MAD to ${merchant.merchantId}`);
+
+  emitWebhookEvent('merchant_payment.executed', {
+    transactionReference,
+    customerPhoneNumber,
+    merchantId: merchant.merchantId,
+    amount,
+    feesAmount,
+    totalAmount,
+    orderReference,
+    executedAt: date
+  });
+
+  const paymentResponse = {
+    operationType: 6,
+    merchantId: merchant.merchantId,
+    merchantName: merchant.name,
+    orderReference,
+    amount,
+    feesAmount,
+    totalAmount,
     transactionId: parseInt(tx.id.replace('TXN_', '')),
-    transactionReference: generateTransactionReference(tx, opType),
-    amount: amount,
-    reason: tx.description || null,
-    operationType: opType,
-    transactionDate: tx.date,
-    sens: tx.amount > 0 ? 1 : 2, // 1 = credit, 2 = debit
-    transactionStatus: getTransactionStatus(tx.status),
-    feesAmount: 0,
-    totalAmount: amount,
-    transactionFeesId: null,
-    sender: sender,
-    receiver: receiver,
-    beneficiary: beneficiary,
-    // Legacy fields for backward compatibility
-    accountNumber: phoneNumber,
-    beneficiaryName: beneficiary || '',
-    currency: tx.currency || 'MAD',
-    balanceAfter: tx.balanceAfter
+    transactionReference,
+    checkedAt: date
   };
-};
 
-// Routes
-
-// Health check
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    service: 'Chari API Stub'
-  });
+  res.json(createResponse(paymentResponse, req));
 });
 
-// Customer Status - GET /customers/status
-app.get('/customers/status', (req, res) => {
-  const { phoneNumber } = req.query;
+// Merchant Refund - POST /operations/merchant/refund
+// Body: { merchantId, transactionReference, amount } - refunds what is left of the payment when amount is omitted
+// Debits the merchant and records a MERCHANT_REFUND credit for the customer
+app.post('/operations/merchant/refund', idempotent, (req, res) => {
+  const { merchantId, transactionReference, amount } = req.body;
 
-  console.log(`[CHARI-STUB] Customer status check for: ${phoneNumber}`);
+  console.log(`[CHARI-STUB] Merchant refund of ${transactionReference} by: ${merchantId}, amount: ${amount ?? 'remaining'}`);
 
-  if (!phoneNumber) {
-    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+  if (!merchantId || !transactionReference) {
+    return res.status(400).json(createErrorResponse(400, 'Missing required fields'));
   }
 
-  // Check if customer exists in our mock data
-  const customerStatus = mockData.customers[phoneNumber];
+  const merchant = mockData.merchants[merchantId];
+  if (!merchant) {
+    return res.status(404).json(createErrorResponse(404, 'Merchant not found'));
+  }
+  const payment = merchant.payments.find(p => p.transactionReference === transactionReference);
+  if (!payment) {
+    return res.status(404).json(createErrorResponse(404, 'Payment not found'));
+  }
 
-  if (!customerStatus || customerStatus.status === 0) {
-    // Customer doesn't exist - return 204 No Content
-    console.log(`[CHARI-STUB] Customer not found: ${phoneNumber}`);
-    return res.status(204).send();
+  const refundable = parseFloat((payment.amount - payment.refundedAmount).toFixed(2));
+  if (refundable <= 0) {
+    return res.status(409).json(createErrorResponse(409, 'Payment is already fully refunded'));
+  }
+  const refundAmount = amount === undefined ? refundable : parseFloat(parseFloat(amount).toFixed(2));
+  if (!(refundAmount > 0) || refundAmount > refundable) {
+    return res.status(400).json(createErrorResponse(400, `Refund amount must be between 0 and the refundable ${refundable} MAD`));
+  }
+  if (merchant.balance < refundAmount) {
+    return res.status(400).json(createErrorResponse(400, 'Insufficient merchant balance'));
   }
 
-  // Build complete customer information using the requested phone number
-  const registration = mockData.registrations[phoneNumber];
-  const balance = mockData.balances[phoneNumber] || 0;
+  const { customerPhoneNumber } = payment;
+  const date = new Date().toISOString();
+  const refundReference = generateTransactionReference({ id: getNextTransactionId(customerPhoneNumber), date }, 6);
+
+  merchant.balance = parseFloat((merchant.balance - refundAmount).toFixed(2));
+  payment.refundedAmount = parseFloat((payment.refundedAmount + refundAmount).toFixed(2));
+  payment.refunds.push({ transactionReference: refundReference, amount: refundAmount, date });
+
+  const tx = recordTransaction(customerPhoneNumber, {
+    type: 'MERCHANT_REFUND',
+    amount: refundAmount,
+    date,
+    description: `Refund from ${merchant.name}`,
+    reference: refundReference,
+    counterparty: merchant.merchantId,
+    beneficiaryName: merchant.name
+  });
 
-  const customerInfo = {
-    id: `customer-${phoneNumber.replace('+', '').replace(/\D/g, '')}`,
-    phoneNumber: phoneNumber, // Use the requested phone number
-    status: customerStatus.status, // Keep the numeric status as per Chari API spec
-    walletType: registration?.walletType || 'P',
-    balance: balance,
-    currency: 'MAD',
-    firstName: registration?.firstName,
-    lastName: registration?.lastName,
-    registeredAt: registration?.registeredAt
+  console.log(`[CHARI-STUB] Merchant refund ${refundReference} executed: ${refundAmount} MAD to ${customerPhoneNumber}`);
+
+  emitWebhookEvent('merchant_refund.executed', {
+    transactionReference: refundReference,
+    originalTransactionReference: transactionReference,
+    customerPhoneNumber,
+    merchantId,
+    amount: refundAmount,
+    executedAt: date
+  });
+
+  const refundResponse = {
+    operationType: 6,
+    merchantId,
+    customerPhoneNumber,
+    amount: refundAmount,
+    refundedAmount: payment.refundedAmount,
+    originalTransactionReference: transactionReference,
+    transactionId: parseInt(tx.id.replace('TXN_', '')),
+    transactionReference: refundReference,
+    checkedAt: date
   };
 
-  console.log(`[CHARI-STUB] Customer status: ${JSON.stringify(customerInfo)}`);
-  res.json(createResponse(customerInfo, req));
+  res.json(createResponse(refundResponse, req));
 });
 
-// Customer Default Wallet - GET /customers/default
-app.get('/customers/default', (req, res) => {
-  const { phoneNumber } = req.query;
-
-  console.log(`[CHARI-STUB] Default wallet check for: ${phoneNumber}`);
+// Admin API - seed, inspect and reset mockData at runtime
+
+// Validate and normalize a value before storing it in a mockData collection
+// Returns { value } on success or { error } with a description of the problem
+const normalizeCollectionEntry = (collection, value, phoneNumber) => {
+  switch (collection) {
+    case 'customers': {
+      const status = value?.status;
+      if (!Number.isInteger(status) || !(status in CUSTOMER_STATUS_MESSAGES)) {
+        return { error: 'Customer status must be an integer between 0 and 5' };
+      }
+      return { value: { status, message: value.message || CUSTOMER_STATUS_MESSAGES[status] } };
+    }
+    case 'registrations': {
+      const { firstName, lastName, cin, walletType } = value || {};
+      if (!firstName || !lastName || !cin || !walletType) {
+        return { error: 'Registration requires firstName, lastName, cin and walletType' };
+      }
+      return {
+        value: {
+          firstName,
+          lastName,
+          cin,
+          walletType,
+          registeredAt: value.registeredAt || new Date().toISOString()
+        }
+      };
+    }
+    case 'pins': {
+      const pin = typeof value === 'object' && value !== null ? value.pin : value;
+      if (typeof pin !== 'string' || !/^\d{4}$/.test(pin)) {
+        return { error: 'PIN must be a 4-digit string' };
+      }
+      return { value: pin };
+    }
+    case 'otps': {
+      const { code, expiresAt } = value || {};
+      if (typeof code !== 'string' || !/^\d{4,8}$/.test(code)) {
+        return { error: 'OTP code must be a string of 4 to 8 digits' };
+      }
+      if (expiresAt !== undefined && expiresAt !== null && Number.isNaN(Date.parse(expiresAt))) {
+        return { error: 'expiresAt must be an ISO 8601 date or null' };
+      }
+      return {
+        value: {
+          code,
+          issuedAt: value.issuedAt || new Date().toISOString(),
+          expiresAt: expiresAt ?? null,
+          attempts: value.attempts || 0,
+          resends: value.resends || 0
+        }
+      };
+    }
+    case 'balances': {
+      const balance = typeof value === 'object' && value !== null ? value.balance : value;
+      if (typeof balance !== 'number' || !Number.isFinite(balance)) {
+        return { error: 'Balance must be a number' };
+      }
+      return { value: parseFloat(balance.toFixed(2)) };
+    }
+    case 'transactions': {
+      if (!Array.isArray(value)) {
+        return { error: 'Transactions must be an array' };
+      }
+      const invalid = value.find(tx => !tx || !tx.id || !tx.type || typeof tx.amount !== 'number' || !tx.date);
+      if (invalid) {
+        return { error: 'Each transaction requires id, type, amount and date' };
+      }
+      return {
+        value: value.map(tx => ({
+          currency: 'MAD',
+          description: '',
+          status: 'COMPLETED',
+          ...tx
+        }))
+      };
+    }
+    case 'beneficiaries': {
+      if (!Array.isArray(value)) {
+        return { error: 'Beneficiaries must be an array' };
+      }
+      const invalid = value.find(b => !b || !Number.isInteger(b.id) || !b.name || (!b.phoneNumber && !b.rib));
+      if (invalid) {
+        return { error: 'Each beneficiary requires an integer id, a name and a phoneNumber or rib' };
+      }
+      return {
+        value: value.map(b => ({
+          id: b.id,
+          customerId: b.customerId ?? getCustomerId(phoneNumber),
+          name: b.name,
+          phoneNumber: b.phoneNumber || null,
+          createdAt: b.createdAt || new Date().toISOString(),
+          isVisible: b.isVisible !== false,
+          rib: b.rib || null,
+          email: b.email || null
+        }))
+      };
+    }
+    default:
+      return { error: `Unknown collection: ${collection}` };
+  }
+};
 
-  if (!phoneNumber) {
-    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+// Middleware to reject unknown collection names
+const validateCollection = (req, res, next) => {
+  if (!CUSTOMER_COLLECTIONS.includes(req.params.collection)) {
+    return res.status(404).json(createErrorResponse(404, `Unknown collection: ${req.params.collection}`));
   }
+  next();
+};
 
-  // Check if customer exists in our mock data
-  const customerStatus = mockData.customers[phoneNumber];
+// Store normalized [collection, phoneNumber, value] entries
+// A balance seeded without a history gets a history back-computed from it, so the balance stays the newest balanceAfter
+const applyCollectionEntries = (entries) => {
+  entries.forEach(([collection, phoneNumber, value]) => {
+    mockData[collection][phoneNumber] = value;
+  });
 
-  if (!customerStatus || customerStatus.status === 0) {
-    // Customer doesn't exist
-    return res.status(404).json(createErrorResponse(404, 'Customer not found'));
-  }
+  entries
+    .filter(([collection, phoneNumber]) => collection === 'balances'
+      && !entries.some(([other, number]) => other === 'transactions' && number === phoneNumber))
+    .forEach(([, phoneNumber]) => {
+      mockData.transactions[phoneNumber] = generateCustomerTransactions(phoneNumber, getBalance(phoneNumber));
+    });
+};
 
-  // For stub, assume all existing customers have default wallet
-  res.json(createResponse({ isDefaultWallet: true }, req));
+// Build the aggregated view of a customer across all collections
+const getCustomerFixture = (phoneNumber) => ({
+  phoneNumber,
+  customer: mockData.customers[phoneNumber] || null,
+  registration: mockData.registrations[phoneNumber] || null,
+  pin: mockData.pins[phoneNumber] || null,
+  balance: mockData.balances[phoneNumber] ?? null,
+  transactions: mockData.transactions[phoneNumber] || [],
+  beneficiaries: mockData.beneficiaries[phoneNumber] || []
 });
 
-// Customer Registration - POST /customers/register
-app.post('/customers/register', (req, res) => {
-  const { phoneNumber, firstName, lastName, cin, walletType } = req.body;
+// Get Store - GET /__admin/store
+app.get('/__admin/store', (req, res) => {
+  res.json(createResponse(mockData, req));
+});
 
-  console.log(`[CHARI-STUB] Registration request:`, req.body);
+// Seed Store - POST /__admin/store
+// Body: partial store, e.g. { customers: { '+2126...': { status: 3 } }, balances: { '+2126...': 100 } }
+app.post('/__admin/store', (req, res) => {
+  const seed = req.body || {};
 
-  if (!phoneNumber || !firstName || !lastName || !cin || !walletType) {
-    return res.status(400).json(createErrorResponse(400, 'Missing required fields'));
+  console.log(`[CHARI-STUB] [ADMIN] Seeding store with collections: ${Object.keys(seed).join(', ')}`);
+
+  // Validate everything first so a bad entry doesn't leave the store half-seeded
+  const entries = [];
+  for (const [collection, values] of Object.entries(seed)) {
+    if (!CUSTOMER_COLLECTIONS.includes(collection)) {
+      return res.status(400).json(createErrorResponse(400, `Unknown collection: ${collection}`));
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      return res.status(400).json(createErrorResponse(400, `Collection ${collection} must be an object keyed by phone number`));
+    }
+    for (const [phoneNumber, value] of Object.entries(values)) {
+      const { value: normalized, error } = normalizeCollectionEntry(collection, value, phoneNumber);
+      if (error) {
+        return res.status(400).json(createErrorResponse(400, `${collection}[${phoneNumber}]: ${error}`));
+      }
+      entries.push([collection, phoneNumber, normalized]);
+    }
   }
 
-  // Store registration data
-  mockData.registrations[phoneNumber] = {
-    firstName,
-    lastName,
-    cin,
-    walletType,
-    registeredAt: new Date().toISOString()
-  };
+  applyCollectionEntries(entries);
 
-  // Update customer status to "not confirmed"
-  mockData.customers[phoneNumber] = { status: 1, message: 'Customer not confirmed' };
+  res.json(createResponse({ seeded: entries.length }, req));
+});
 
-  console.log(`[CHARI-STUB] Customer registered: ${phoneNumber}`);
+// Reset Store - POST /__admin/reset
+app.post('/__admin/reset', (req, res) => {
+  console.log(`[CHARI-STUB] [ADMIN] Resetting store to baseline`);
+
+  resetMockData();
   res.json(createResponse(true, req));
 });
 
-// Customer Registration Confirmation - POST /customers/confirm
-app.post('/customers/confirm', (req, res) => {
-  const { phoneNumber, code, walletType } = req.body;
+// Check that merged generator options describe a valid amount range
+const validateAmountRange = (options) => {
+  const { minAmount, maxAmount } = { ...DEFAULT_GENERATOR_OPTIONS, ...options };
+  return minAmount <= maxAmount ? null : 'minAmount must not be greater than maxAmount';
+};
 
-  console.log(`[CHARI-STUB] Confirmation request for: ${phoneNumber}, code: ${code}`);
+// Get Generator Config - GET /__admin/generator
+app.get('/__admin/generator', (req, res) => {
+  res.json(createResponse({ ...generatorConfig, baseDefaults: DEFAULT_GENERATOR_OPTIONS }, req));
+});
 
-  if (!phoneNumber || !code || !walletType) {
-    return res.status(400).json(createErrorResponse(400, 'Missing required fields'));
+// Update Generator Config - PUT /__admin/generator
+// Body: { seed, now, defaults, customers } - omitted fields are left untouched, null clears seed/now
+// Baseline histories are regenerated with the new config on the next POST /__admin/reset
+app.put('/__admin/generator', (req, res) => {
+  const { seed, now, defaults, customers } = req.body || {};
+
+  console.log(`[CHARI-STUB] [ADMIN] Update generator config:`, req.body);
+
+  if (seed !== undefined && seed !== null && typeof seed !== 'string' && typeof seed !== 'number') {
+    return res.status(400).json(createErrorResponse(400, 'seed must be a string or a number'));
+  }
+  if (now !== undefined && now !== null && Number.isNaN(Date.parse(now))) {
+    return res.status(400).json(createErrorResponse(400, 'now must be an ISO 8601 date'));
   }
 
-  // For stub, accept "123456" as valid OTP (XXXXXX format)
-  if (code !== '123456') {
-    return res.status(400).json(createErrorResponse(400, 'Invalid confirmation code'));
+  let normalizedDefaults;
+  if (defaults !== undefined) {
+    const { value, error } = normalizeGeneratorOptions(defaults);
+    if (error || validateAmountRange(value)) {
+      return res.status(400).json(createErrorResponse(400, error || validateAmountRange(value)));
+    }
+    normalizedDefaults = value;
   }
 
-  // Update customer status to "confirmed but no PIN"
-  mockData.customers[phoneNumber] = { status: 2, message: 'Customer confirmed but no PIN' };
+  let normalizedCustomers;
+  if (customers !== undefined) {
+    normalizedCustomers = {};
+    for (const [phoneNumber, options] of Object.entries(customers || {})) {
+      const { value, error } = normalizeGeneratorOptions(options);
+      if (error || validateAmountRange(value)) {
+        return res.status(400).json(createErrorResponse(400, `customers[${phoneNumber}]: ${error || validateAmountRange(value)}`));
+      }
+      normalizedCustomers[phoneNumber] = value;
+    }
+  }
 
-  console.log(`[CHARI-STUB] Customer confirmed: ${phoneNumber}`);
-  res.json(createResponse(true, req));
+  if (seed !== undefined) generatorConfig.seed = seed === null ? null : String(seed);
+  if (now !== undefined) generatorConfig.now = now === null ? null : new Date(now).toISOString();
+  if (normalizedDefaults) generatorConfig.defaults = normalizedDefaults;
+  if (normalizedCustomers) generatorConfig.customers = normalizedCustomers;
+
+  res.json(createResponse(generatorConfig, req));
 });
 
-// Resend OTP - POST /customers/confirm/resend-otp
-app.post('/customers/confirm/resend-otp', (req, res) => {
+// Generate Customer Transactions - POST /__admin/customers/:phoneNumber/transactions/generate
+// Body: { count, typeWeights, minAmount, maxAmount, spanDays } - remembered for this customer across resets
+// The new history is back-computed from the customer's current balance
+app.post('/__admin/customers/:phoneNumber/transactions/generate', (req, res) => {
+  const { phoneNumber } = req.params;
+
+  console.log(`[CHARI-STUB] [ADMIN] Generate transactions for: ${phoneNumber}`);
+
+  const { value, error } = normalizeGeneratorOptions(req.body || {});
+  const merged = { ...generatorConfig.defaults, ...value };
+  if (error || validateAmountRange(merged)) {
+    return res.status(400).json(createErrorResponse(400, error || validateAmountRange(merged)));
+  }
+
+  generatorConfig.customers[phoneNumber] = value;
+  mockData.transactions[phoneNumber] = generateCustomerTransactions(phoneNumber, getBalance(phoneNumber));
+
+  res.json(createResponse(mockData.transactions[phoneNumber], req));
+});
+
+// Utility function to check a customer's ledger against their balance, returning the problems found:
+// missing_balance_after, broken_chain (a balanceAfter that doesn't follow from the previous one and the entry's
+// net change) and balance_mismatch (a balance that isn't the newest balanceAfter)
+const checkLedgerConsistency = (phoneNumber) => {
+  const ledger = mockData.transactions[phoneNumber] || [];
+  const round = value => parseFloat(value.toFixed(2));
+  const issues = [];
+
+  ledger.forEach((tx, index) => {
+    if (typeof tx.balanceAfter !== 'number') {
+      issues.push({ issue: 'missing_balance_after', transactionId: tx.id });
+      return;
+    }
+    // Stored newest first - the previous entry is the next one in the array
+    const previous = ledger[index + 1];
+    if (previous && typeof previous.balanceAfter === 'number') {
+      const expected = round(previous.balanceAfter + getTransactionNetChange(tx));
+      if (round(tx.balanceAfter - expected) !== 0) {
+        issues.push({ issue: 'broken_chain', transactionId: tx.id, expectedBalanceAfter: expected, balanceAfter: tx.balanceAfter, drift: round(tx.balanceAfter - expected) });
+      }
+    }
+  });
+
+  const newest = ledger[0];
+  if (newest && typeof newest.balanceAfter === 'number' && round(getBalance(phoneNumber) - newest.balanceAfter) !== 0) {
+    issues.push({ issue: 'balance_mismatch', balance: getBalance(phoneNumber), balanceAfter: newest.balanceAfter, drift: round(getBalance(phoneNumber) - newest.balanceAfter) });
+  }
+
+  return issues;
+};
+
+// Check Ledger Consistency - GET /__admin/consistency?phoneNumber=...
+// Reports every customer whose balance or history has drifted, e.g. after editing balances or transactions directly
+app.get('/__admin/consistency', (req, res) => {
   const { phoneNumber } = req.query;
 
-  console.log(`[CHARI-STUB] Resend OTP for: ${phoneNumber}`);
+  const phoneNumbers = phoneNumber
+    ? [phoneNumber]
+    : [...new Set([...Object.keys(mockData.balances), ...Object.keys(mockData.transactions)])];
+
+  const customers = phoneNumbers
+    .map(number => ({
+      phoneNumber: number,
+      balance: getBalance(number),
+      ledgerBalance: mockData.transactions[number]?.[0]?.balanceAfter ?? null,
+      issues: checkLedgerConsistency(number)
+    }))
+    .filter(customer => customer.issues.length > 0);
+
+  if (customers.length > 0) {
+    console.log(`[CHARI-STUB] [ADMIN] Ledger drift found for: ${customers.map(customer => customer.phoneNumber).join(', ')}`);
+  }
 
-  if (!phoneNumber) {
-    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+  res.json(createResponse({ consistent: customers.length === 0, checked: phoneNumbers.length, customers }, req));
+});
+
+// Get PIN Policy - GET /__admin/pin-policy
+app.get('/__admin/pin-policy', (req, res) => {
+  res.json(createResponse(pinPolicy, req));
+});
+
+// Validate and apply integer policy updates in place
+// Returns an error description, or null once every update has been applied
+const applyPolicyUpdates = (policy, updates, minimums = {}) => {
+  for (const field of Object.keys(policy)) {
+    const value = updates[field];
+    const minimum = minimums[field] ?? 1;
+    if (value !== undefined && (!Number.isInteger(value) || value < minimum)) {
+      return `${field} must be an integer of at least ${minimum}`;
+    }
   }
 
-  // For stub, always return success
-  console.log(`[CHARI-STUB] OTP resent to: ${phoneNumber}`);
-  res.json(createResponse(true, req));
+  Object.keys(policy).forEach(field => {
+    if (updates[field] !== undefined) {
+      policy[field] = updates[field];
+    }
+  });
+  return null;
+};
+
+// Update PIN Policy - PUT /__admin/pin-policy
+// Body: { maxAttempts, lockSeconds, maxTemporaryLocks } - omitted fields are left untouched
+app.put('/__admin/pin-policy', (req, res) => {
+  console.log(`[CHARI-STUB] [ADMIN] Update PIN policy:`, req.body);
+
+  const error = applyPolicyUpdates(pinPolicy, req.body || {}, { maxTemporaryLocks: 0 });
+  if (error) {
+    return res.status(400).json(createErrorResponse(400, error));
+  }
+
+  res.json(createResponse(pinPolicy, req));
 });
 
-// Customer Login - POST /customers/login
-app.post('/customers/login', (req, res) => {
-  const { phoneNumber, pin } = req.body;
+// Get OTP Policy - GET /__admin/otp-policy
+app.get('/__admin/otp-policy', (req, res) => {
+  res.json(createResponse(otpPolicy, req));
+});
 
-  console.log(`[CHARI-STUB] Login request for: ${phoneNumber}`);
+// Update OTP Policy - PUT /__admin/otp-policy
+// Body: { ttlSeconds, maxAttempts, resendCooldownSeconds, maxResends } - omitted fields are left untouched
+app.put('/__admin/otp-policy', (req, res) => {
+  console.log(`[CHARI-STUB] [ADMIN] Update OTP policy:`, req.body);
 
-  if (!phoneNumber || !pin) {
-    return res.status(400).json(createErrorResponse(400, 'Phone number and PIN are required'));
+  const error = applyPolicyUpdates(otpPolicy, req.body || {}, { resendCooldownSeconds: 0, maxResends: 0 });
+  if (error) {
+    return res.status(400).json(createErrorResponse(400, error));
   }
 
-  // Check if customer exists and has a PIN
-  const customerStatus = mockData.customers[phoneNumber];
-  if (!customerStatus || customerStatus.status < 3) {
-    return res.status(400).json(createErrorResponse(400, 'Customer not found or not activated'));
+  res.json(createResponse(otpPolicy, req));
+});
+
+// Get Fee Schedule - GET /__admin/fees
+app.get('/__admin/fees', (req, res) => {
+  res.json(createResponse(feeSchedule, req));
+});
+
+// Update Fee Schedule - PUT /__admin/fees
+// Body: partial schedule - each operation kind given replaces that kind's rules
+app.put('/__admin/fees', (req, res) => {
+  console.log(`[CHARI-STUB] [ADMIN] Update fee schedule:`, JSON.stringify(req.body));
+
+  const error = validateFeeSchedule(req.body);
+  if (error) {
+    return res.status(400).json(createErrorResponse(400, error));
   }
 
-  // For stub, accept only "1234" as valid PIN (XXXX format)
-  const isCorrectPin = pin === '1234';
+  setPartnerSetting('feeSchedule', { ...feeSchedule, ...req.body });
+  res.json(createResponse(feeSchedule, req));
+});
 
-  const response = {
-    logged: isCorrectPin,
-    remainingAttempts: isCorrectPin ? 3 : 2
-  };
+// Reset Fee Schedule - DELETE /__admin/fees
+app.delete('/__admin/fees', (req, res) => {
+  console.log(`[CHARI-STUB] [ADMIN] Reset fee schedule`);
 
-  console.log(`[CHARI-STUB] Login result: ${JSON.stringify(response)}`);
-  res.json(createResponse(response, req));
+  setPartnerSetting('feeSchedule', loadFeeSchedule());
+  res.json(createResponse(feeSchedule, req));
 });
 
-// Create PIN - POST /customers/pin
-app.post('/customers/pin', (req, res) => {
-  const { phoneNumber, pin } = req.body;
+// Get Wallet Limits - GET /__admin/limits
+app.get('/__admin/limits', (req, res) => {
+  res.json(createResponse(walletLimits, req));
+});
 
-  console.log(`[CHARI-STUB] Create PIN for: ${phoneNumber}`);
+// Update Wallet Limits - PUT /__admin/limits
+// Body: partial limits per wallet type, e.g. { P: { dailyAmount: 500 } } - null removes a limit
+app.put('/__admin/limits', (req, res) => {
+  console.log(`[CHARI-STUB] [ADMIN] Update wallet limits:`, JSON.stringify(req.body));
 
-  if (!phoneNumber || !pin) {
-    return res.status(400).json(createErrorResponse(400, 'Phone number and PIN are required'));
+  const error = validateWalletLimits(req.body);
+  if (error) {
+    return res.status(400).json(createErrorResponse(400, error));
   }
 
-  // Store PIN and update customer status to active
-  mockData.pins[phoneNumber] = pin;
-  mockData.customers[phoneNumber] = { status: 3, message: 'Active customer' };
+  setPartnerSetting('walletLimits', mergeWalletLimits(walletLimits, req.body));
+  res.json(createResponse(walletLimits, req));
+});
 
-  console.log(`[CHARI-STUB] PIN created for: ${phoneNumber}`);
-  res.json(createResponse(true, req));
+// Reset Wallet Limits - DELETE /__admin/limits
+app.delete('/__admin/limits', (req, res) => {
+  console.log(`[CHARI-STUB] [ADMIN] Reset wallet limits`);
+
+  setPartnerSetting('walletLimits', loadWalletLimits());
+  res.json(createResponse(walletLimits, req));
 });
 
-// Update PIN - PUT /customers/pin
-app.put('/customers/pin', (req, res) => {
-  const { phoneNumber, oldPin, newPin } = req.body;
+// List Merchants - GET /__admin/merchants
+app.get('/__admin/merchants', (req, res) => {
+  const merchants = Object.values(mockData.merchants);
+  res.json(createResponse({ collection: merchants, count: merchants.length }, req));
+});
 
-  console.log(`[CHARI-STUB] Update PIN for: ${phoneNumber}`);
+// Create or Update a Merchant - PUT /__admin/merchants/:merchantId
+// Body: { name, mcc, city, status, balance } - omitted fields keep their value, name is required for a new merchant
+app.put('/__admin/merchants/:merchantId', (req, res) => {
+  const { merchantId } = req.params;
+  const { name, mcc, city, status, balance } = req.body || {};
+  const existing = mockData.merchants[merchantId];
 
-  if (!phoneNumber || !oldPin || !newPin) {
-    return res.status(400).json(createErrorResponse(400, 'Phone number, old PIN, and new PIN are required'));
+  console.log(`[CHARI-STUB] [ADMIN] Set merchant ${merchantId}:`, req.body);
+
+  if (!/^[A-Za-z0-9]{1,20}$/.test(merchantId)) {
+    return res.status(400).json(createErrorResponse(400, 'merchantId must be 1 to 20 letters or digits'));
+  }
+  if (!existing && !name) {
+    return res.status(400).json(createErrorResponse(400, 'name is required for a new merchant'));
+  }
+  if (mcc !== undefined && !/^\d{4}$/.test(mcc)) {
+    return res.status(400).json(createErrorResponse(400, 'mcc must be a 4-digit merchant category code'));
+  }
+  if (status !== undefined && !MERCHANT_STATUSES.includes(status)) {
+    return res.status(400).json(createErrorResponse(400, `status must be one of ${MERCHANT_STATUSES.join(', ')}`));
+  }
+  if (balance !== undefined && (typeof balance !== 'number' || balance < 0)) {
+    return res.status(400).json(createErrorResponse(400, 'balance must be a non-negative number'));
   }
 
-  // For stub, always accept the update
-  mockData.pins[phoneNumber] = newPin;
+  const merchant = {
+    merchantId,
+    name: name || existing.name,
+    mcc: mcc || existing?.mcc || '5999',
+    city: city || existing?.city || 'Casablanca',
+    status: status || existing?.status || 'ACTIVE',
+    balance: balance !== undefined ? parseFloat(balance.toFixed(2)) : existing?.balance || 0,
+    payments: existing?.payments || []
+  };
+  mockData.merchants[merchantId] = merchant;
 
-  console.log(`[CHARI-STUB] PIN updated for: ${phoneNumber}`);
-  res.json(createResponse(true, req));
+  res.json(createResponse(merchant, req));
 });
 
-// Customer Balance - GET /customers/balance
-app.get('/customers/balance', (req, res) => {
-  const { phoneNumber } = req.query;
+// Delete a Merchant - DELETE /__admin/merchants/:merchantId
+app.delete('/__admin/merchants/:merchantId', (req, res) => {
+  const { merchantId } = req.params;
 
-  console.log(`[CHARI-STUB] Balance request for: ${phoneNumber}`);
+  console.log(`[CHARI-STUB] [ADMIN] Delete merchant ${merchantId}`);
 
-  if (!phoneNumber) {
-    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+  if (!mockData.merchants[merchantId]) {
+    return res.status(404).json(createErrorResponse(404, 'Merchant not found'));
   }
+  delete mockData.merchants[merchantId];
+  res.json(createResponse(true, req));
+});
 
-  // Return mock balance
-  const balance = mockData.balances[phoneNumber] || 1500.00; // Default balance
-
-  console.log(`[CHARI-STUB] Balance for ${phoneNumber}: ${balance}`);
-  res.json(createResponse({ balance }, req));
+// Get Top-up Policy - GET /__admin/topup
+app.get('/__admin/topup', (req, res) => {
+  res.json(createResponse(topupPolicy, req));
 });
 
-// Customer Info - GET /customers/info
-app.get('/customers/info', (req, res) => {
-  const { phoneNumber } = req.query;
+// Update Top-up Policy - PUT /__admin/topup
+// Body: { unavailableOperators, rejectedSuffix } - omitted fields are left untouched, a null suffix rejects nothing
+app.put('/__admin/topup', (req, res) => {
+  const { unavailableOperators, rejectedSuffix } = req.body || {};
 
-  console.log(`[CHARI-STUB] Info request for: ${phoneNumber}`);
+  console.log(`[CHARI-STUB] [ADMIN] Update top-up policy:`, req.body);
 
-  if (!phoneNumber) {
-    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+  const operatorIds = TOPUP_OPERATORS.map(operator => operator.operatorId);
+  if (unavailableOperators !== undefined && (!Array.isArray(unavailableOperators) || unavailableOperators.some(id => !operatorIds.includes(id)))) {
+    return res.status(400).json(createErrorResponse(400, `unavailableOperators must be an array of: ${operatorIds.join(', ')}`));
   }
-
-  const registration = mockData.registrations[phoneNumber];
-  if (!registration) {
-    return res.status(404).json(createErrorResponse(404, 'Customer not found'));
+  if (rejectedSuffix !== undefined && rejectedSuffix !== null && (typeof rejectedSuffix !== 'string' || !/^\d{1,9}$/.test(rejectedSuffix))) {
+    return res.status(400).json(createErrorResponse(400, 'rejectedSuffix must be a string of 1 to 9 digits or null'));
   }
 
-  const customerInfo = {
-    id: phoneNumber.replace('+', '').replace(/\D/g, ''), // Generate numeric ID from phone
-    phoneNumber,
-    firstName: registration.firstName,
-    lastName: registration.lastName,
-    cin: registration.cin,
-    walletType: registration.walletType,
-    status: mockData.customers[phoneNumber]?.status || 0,
-    customer_status: mockData.customers[phoneNumber]?.status || 0,
-    rib: `827640000010000000${phoneNumber.slice(-4)}`, // Generate fake RIB
-    balance: mockData.balances[phoneNumber] || 0,
-    createdAt: registration.registeredAt,
-    updatedAt: new Date().toISOString()
-  };
+  if (unavailableOperators !== undefined) topupPolicy.unavailableOperators = [...new Set(unavailableOperators)];
+  if (rejectedSuffix !== undefined) topupPolicy.rejectedSuffix = rejectedSuffix;
 
-  console.log(`[CHARI-STUB] Customer info: ${JSON.stringify(customerInfo)}`);
-  res.json(createResponse(customerInfo, req));
+  res.json(createResponse(topupPolicy, req));
 });
 
-// Customer Transactions - GET /customers/transactions
-app.get('/customers/transactions', (req, res) => {
-  const { phoneNumber, limit = 10, offset = 0, page = 1 } = req.query;
-
-  console.log(`[CHARI-STUB] Transactions request for: ${phoneNumber}, limit: ${limit}, offset: ${offset}, page: ${page}`);
-
-  if (!phoneNumber) {
-    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
-  }
+// Get SMS Outbox - GET /__admin/outbox
+// Query: phoneNumber, type - newest messages first
+app.get('/__admin/outbox', (req, res) => {
+  const { phoneNumber, type } = req.query;
 
-  const transactions = mockData.transactions[phoneNumber] || [];
-  const pageSize = parseInt(limit);
-  const pageNumber = parseInt(page);
+  const { partnerId } = getCurrentPartner();
 
-  // Support both offset-based and page-based pagination
-  const startIndex = offset ? parseInt(offset) : (pageNumber - 1) * pageSize;
-  const endIndex = startIndex + pageSize;
-  const paginatedTransactions = transactions.slice(startIndex, endIndex);
+  const messages = smsOutbox
+    .filter(sms => sms.partnerId === partnerId &&
+      (!phoneNumber || sms.phoneNumber === phoneNumber) &&
+      (!type || sms.type === type))
+    .reverse();
 
-  const totalPages = Math.ceil(transactions.length / pageSize);
-  const currentPage = Math.floor(startIndex / pageSize) + 1;
+  res.json(createResponse({ collection: messages, count: messages.length }, req));
+});
 
-  const response = {
-    transactions: paginatedTransactions,
-    total: transactions.length,
-    limit: pageSize,
-    offset: startIndex,
-    page: currentPage,
-    totalPages: totalPages,
-    hasMore: endIndex < transactions.length,
-    hasPrevious: startIndex > 0
-  };
+// Clear SMS Outbox - DELETE /__admin/outbox
+app.delete('/__admin/outbox', (req, res) => {
+  console.log(`[CHARI-STUB] [ADMIN] Clear SMS outbox`);
 
-  console.log(`[CHARI-STUB] Returning ${paginatedTransactions.length} of ${transactions.length} transactions for ${phoneNumber} (page ${currentPage}/${totalPages})`);
-  res.json(createResponse(response, req));
+  clearSmsOutbox();
+  res.json(createResponse(true, req));
 });
 
-// Get Single Transaction - GET /customers/transactions/:transactionId
-app.get('/customers/transactions/:transactionId', (req, res) => {
-  const { phoneNumber } = req.query;
-  const { transactionId } = req.params;
+// Get Webhook Policy - GET /__admin/webhook-policy
+app.get('/__admin/webhook-policy', (req, res) => {
+  res.json(createResponse(webhookPolicy, req));
+});
 
-  console.log(`[CHARI-STUB] Get transaction ${transactionId} for: ${phoneNumber}`);
+// Update Webhook Policy - PUT /__admin/webhook-policy
+// Body: { maxAttempts, retryBaseMs, timeoutMs } - omitted fields are left untouched
+app.put('/__admin/webhook-policy', (req, res) => {
+  console.log(`[CHARI-STUB] [ADMIN] Update webhook policy:`, req.body);
 
-  if (!phoneNumber) {
-    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+  const error = applyPolicyUpdates(webhookPolicy, req.body || {}, { retryBaseMs: 0 });
+  if (error) {
+    return res.status(400).json(createErrorResponse(400, error));
   }
 
-  const transactions = mockData.transactions[phoneNumber] || [];
-  const transaction = transactions.find(tx => tx.id === `TXN_${String(transactionId).padStart(3, '0')}`);
+  res.json(createResponse(webhookPolicy, req));
+});
 
-  if (!transaction) {
-    return res.status(404).json(createErrorResponse(404, 'Transaction not found'));
-  }
+// Utility function to find one of the current partner's webhooks
+const findPartnerWebhook = (id) => {
+  const webhook = webhooks.get(id);
+  return webhook && webhook.partnerId === getCurrentPartner().partnerId ? webhook : null;
+};
 
-  console.log(`[CHARI-STUB] Found transaction: ${transaction.id}`);
-  res.json(createResponse(transaction, req));
+// List Webhooks - GET /__admin/webhooks
+app.get('/__admin/webhooks', (req, res) => {
+  const { partnerId } = getCurrentPartner();
+  const collection = [...webhooks.values()].filter(webhook => webhook.partnerId === partnerId);
+  res.json(createResponse({ collection, count: collection.length, events: WEBHOOK_EVENTS }, req));
 });
 
-// Customer Operations/Transfers - GET /operations (first version - simple)
-app.get('/operations-simple', (req, res) => {
-  const { phoneNumber, type, limit = 10, offset = 0, page = 1 } = req.query;
+// Register Webhook - POST /__admin/webhooks
+// Body: { url, apiKey, events, secret } - apiKey null for every key of the caller's partner, events defaults to ['*']
+app.post('/__admin/webhooks', (req, res) => {
+  const { url, apiKey = null, events = ['*'], secret } = req.body || {};
 
-  console.log(`[CHARI-STUB] Operations request for: ${phoneNumber}, type: ${type}`);
+  console.log(`[CHARI-STUB] [ADMIN] Register webhook: ${url}`);
 
-  if (!phoneNumber) {
-    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+  if (!url || !/^https?:\/\//.test(url)) {
+    return res.status(400).json(createErrorResponse(400, 'A valid http(s) url is required'));
+  }
+  if (!Array.isArray(events) || events.length === 0 || events.some(event => event !== '*' && !WEBHOOK_EVENTS.includes(event))) {
+    return res.status(400).json(createErrorResponse(400, `events must be a non-empty array of: *, ${WEBHOOK_EVENTS.join(', ')}`));
+  }
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length === 0)) {
+    return res.status(400).json(createErrorResponse(400, 'secret must be a non-empty string'));
+  }
+  if (apiKey !== null && apiKeys.get(apiKey)?.partnerId !== getCurrentPartner().partnerId) {
+    return res.status(400).json(createErrorResponse(400, 'apiKey must be an API key of your partner'));
   }
 
-  let transactions = mockData.transactions[phoneNumber] || [];
+  const webhook = {
+    id: generateUUID(),
+    url,
+    partnerId: getCurrentPartner().partnerId,
+    apiKey,
+    events,
+    secret: secret || `whsec_${crypto.randomBytes(24).toString('hex')}`,
+    createdAt: new Date().toISOString()
+  };
+  webhooks.set(webhook.id, webhook);
 
-  // Filter by type if specified
-  if (type) {
-    transactions = transactions.filter(t => t.type === type);
-  }
+  res.status(201).json(createResponse(webhook, req));
+});
 
-  const pageSize = parseInt(limit);
-  const pageNumber = parseInt(page);
+// Clear Webhooks - DELETE /__admin/webhooks
+app.delete('/__admin/webhooks', (req, res) => {
+  console.log(`[CHARI-STUB] [ADMIN] Remove all webhooks`);
 
-  // Support both offset-based and page-based pagination
-  const startIndex = offset ? parseInt(offset) : (pageNumber - 1) * pageSize;
-  const endIndex = startIndex + pageSize;
-  const paginatedTransactions = transactions.slice(startIndex, endIndex);
+  const { partnerId } = getCurrentPartner();
+  webhooks.forEach((webhook, id) => {
+    if (webhook.partnerId === partnerId) {
+      webhooks.delete(id);
+    }
+  });
+  res.json(createResponse(true, req));
+});
 
-  const totalPages = Math.ceil(transactions.length / pageSize);
-  const currentPage = Math.floor(startIndex / pageSize) + 1;
+// Webhook Delivery Log - GET /__admin/webhooks/deliveries
+// Query: webhookId, event, status (pending, delivered, failed) - newest first
+app.get('/__admin/webhooks/deliveries', (req, res) => {
+  const { webhookId, event, status } = req.query;
+  const { partnerId } = getCurrentPartner();
 
-  const response = {
-    operations: paginatedTransactions,
-    total: transactions.length,
-    limit: pageSize,
-    offset: startIndex,
-    page: currentPage,
-    totalPages: totalPages,
-    hasMore: endIndex < transactions.length,
-    hasPrevious: startIndex > 0
-  };
+  const deliveries = webhookDeliveries
+    .filter(delivery => delivery.partnerId === partnerId && (!webhookId || delivery.webhookId === webhookId) &&
+      (!event || delivery.event === event) &&
+      (!status || delivery.status === status))
+    .reverse();
 
-  console.log(`[CHARI-STUB] Returning ${paginatedTransactions.length} of ${transactions.length} operations for ${phoneNumber} (page ${currentPage}/${totalPages})`);
-  res.json(createResponse(response, req));
+  res.json(createResponse({ collection: deliveries, count: deliveries.length }, req));
 });
 
-// Customer Unregister - DELETE /customers/unregister
-app.delete('/customers/unregister', (req, res) => {
-  const { phoneNumber } = req.query;
+// Clear Webhook Delivery Log - DELETE /__admin/webhooks/deliveries
+app.delete('/__admin/webhooks/deliveries', (req, res) => {
+  console.log(`[CHARI-STUB] [ADMIN] Clear webhook delivery log`);
 
-  console.log(`[CHARI-STUB] Unregister request for: ${phoneNumber}`);
+  const { partnerId } = getCurrentPartner();
+  webhookDeliveries.splice(0, webhookDeliveries.length, ...webhookDeliveries.filter(delivery => delivery.partnerId !== partnerId));
+  res.json(createResponse(true, req));
+});
 
-  if (!phoneNumber) {
-    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+// Get Webhook - GET /__admin/webhooks/:id
+app.get('/__admin/webhooks/:id', (req, res) => {
+  const webhook = findPartnerWebhook(req.params.id);
+  if (!webhook) {
+    return res.status(404).json(createErrorResponse(404, 'Webhook not found'));
   }
 
-  // Remove customer data
-  delete mockData.customers[phoneNumber];
-  delete mockData.registrations[phoneNumber];
-  delete mockData.pins[phoneNumber];
-  delete mockData.balances[phoneNumber];
-  delete mockData.transactions[phoneNumber];
+  res.json(createResponse(webhook, req));
+});
+
+// Remove Webhook - DELETE /__admin/webhooks/:id
+app.delete('/__admin/webhooks/:id', (req, res) => {
+  console.log(`[CHARI-STUB] [ADMIN] Remove webhook: ${req.params.id}`);
+
+  if (!findPartnerWebhook(req.params.id)) {
+    return res.status(404).json(createErrorResponse(404, 'Webhook not found'));
+  }
+
+  webhooks.delete(req.params.id);
 
-  console.log(`[CHARI-STUB] Customer unregistered: ${phoneNumber}`);
   res.json(createResponse(true, req));
 });
 
-// Operations endpoints
+// List Idempotency Keys - GET /__admin/idempotency-keys
+app.get('/__admin/idempotency-keys', (req, res) => {
+  const { partnerId } = getCurrentPartner();
+  const collection = [...idempotencyRecords.values()]
+    .filter(record => record.partnerId === partnerId)
+    .map(({ body, ...record }) => record);
+  res.json(createResponse({ collection, count: collection.length }, req));
+});
 
-// CashIn Card Preview - POST /operations/cashin/card/preview
-app.post('/operations/cashin/card/preview', (req, res) => {
-  const { phoneNumber } = req.query;
-  const { amount } = req.body;
+// Clear Idempotency Keys - DELETE /__admin/idempotency-keys
+app.delete('/__admin/idempotency-keys', (req, res) => {
+  console.log(`[CHARI-STUB] [ADMIN] Clear idempotency keys`);
 
-  console.log(`[CHARI-STUB] CashIn preview for: ${phoneNumber}, amount: ${amount}`);
+  clearIdempotencyRecords();
+  res.json(createResponse(true, req));
+});
 
-  if (!phoneNumber || !amount) {
-    return res.status(400).json(createErrorResponse(400, 'Phone number and amount are required'));
+// Get Rate Limits - GET /__admin/rate-limits
+app.get('/__admin/rate-limits', (req, res) => {
+  res.json(createResponse({ ...rateLimitPolicy, dimensions: RATE_LIMIT_DIMENSIONS }, req));
+});
+
+// Update Rate Limits - PUT /__admin/rate-limits
+// Body: { enabled, rules } - omitted fields are left untouched; new rules replace the current ones and restart every count
+// Only the caller's partner is affected
+app.put('/__admin/rate-limits', (req, res) => {
+  console.log(`[CHARI-STUB] [ADMIN] Update rate limits:`, req.body);
+
+  const { enabled, rules: inputs } = req.body || {};
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return res.status(400).json(createErrorResponse(400, 'enabled must be a boolean'));
   }
 
-  // Mock preview response
-  const previewResponse = {
-    type: 1,
-    operation: {
-      phoneNumber,
-      amount,
-      method: 2,
-      acceptedBy: 0,
-      description: ''
-    },
-    feesAmount: 0,
-    checkedAt: new Date().toISOString(),
-    openLoop: false
-  };
+  if (inputs !== undefined) {
+    const { error, rules } = createRateLimitRules(inputs);
+    if (error) {
+      return res.status(400).json(createErrorResponse(400, error));
+    }
+    rateLimitPolicy.rules = rules;
+    clearRateLimitBuckets();
+  }
 
-  res.json(createResponse(previewResponse, req));
+  if (enabled !== undefined) {
+    rateLimitPolicy.enabled = enabled;
+  }
+
+  res.json(createResponse({ ...rateLimitPolicy, dimensions: RATE_LIMIT_DIMENSIONS }, req));
 });
 
-// Transfer Preview - POST /operations/transfer/preview
-app.post('/operations/transfer/preview', (req, res) => {
-  const { customerPhoneNumber, amount, reason, recipientPhoneNumber } = req.body;
+// Reset Rate Limits - DELETE /__admin/rate-limits
+// Restores the built-in (or CHARI_STUB_RATE_LIMITS_FILE) rules and the startup switch, and restarts every count of the caller's partner
+app.delete('/__admin/rate-limits', (req, res) => {
+  console.log(`[CHARI-STUB] [ADMIN] Reset rate limits`);
 
-  console.log(`[CHARI-STUB] Transfer preview from: ${customerPhoneNumber}, to: ${recipientPhoneNumber}, amount: ${amount}`);
+  setPartnerSetting('rateLimitPolicy', createRateLimitPolicy());
+  clearRateLimitBuckets();
 
-  if (!customerPhoneNumber || !amount || !recipientPhoneNumber) {
-    return res.status(400).json(createErrorResponse(400, 'Missing required fields'));
-  }
+  res.json(createResponse({ ...rateLimitPolicy, dimensions: RATE_LIMIT_DIMENSIONS }, req));
+});
 
-  // Mock transfer preview response
-  const previewResponse = {
-    type: 3,
-    operation: {
-      customerPhoneNumber,
-      amount,
-      reason: reason || '',
-      beneficiaryId: null,
-      recipientPhoneNumber
-    },
-    feesAmount: 0,
-    totalAmount: amount,
-    checkedAt: new Date().toISOString(),
-    openLoop: false
-  };
+// Clear Rate Limit Counts - DELETE /__admin/rate-limits/counters
+// Only the caller's partner is affected
+app.delete('/__admin/rate-limits/counters', (req, res) => {
+  console.log(`[CHARI-STUB] [ADMIN] Clear rate limit counters`);
 
-  res.json(createResponse(previewResponse, req));
+  clearRateLimitBuckets();
+  res.json(createResponse(true, req));
 });
 
-// Transfer Execute - POST /operations/transfer
-app.post('/operations/transfer', (req, res) => {
-  const { customerPhoneNumber, amount, reason, recipientPhoneNumber } = req.body;
+// Utility function to list the API keys a request may see - its partner's, or every key with the partners permission
+const getVisibleApiKeys = (req) => {
+  const { partnerId } = getCurrentPartner();
+  return [...apiKeys.values()].filter(apiKey => canManagePartners(req) || apiKey.partnerId === partnerId);
+};
 
-  console.log(`[CHARI-STUB] Transfer execution from: ${customerPhoneNumber}, to: ${recipientPhoneNumber}, amount: ${amount}`);
+// List API Keys - GET /__admin/api-keys
+app.get('/__admin/api-keys', (req, res) => {
+  const collection = getVisibleApiKeys(req);
+  res.json(createResponse({ collection, count: collection.length, permissions: API_KEY_PERMISSIONS }, req));
+});
 
-  if (!customerPhoneNumber || !amount || !recipientPhoneNumber) {
-    return res.status(400).json(createErrorResponse(400, 'Missing required fields'));
+// Create API Key - POST /__admin/api-keys
+// Body: { key, partnerId, partner, permissions } - a key is generated when omitted, partnerId defaults to the caller's
+// Keys for another partner, or with the partners permission, need the partners permission
+app.post('/__admin/api-keys', (req, res) => {
+  const input = { partnerId: getCurrentPartner().partnerId, ...req.body };
+
+  console.log(`[CHARI-STUB] [ADMIN] Create API key for partner: ${input.partnerId}`);
+
+  if (!canManagePartners(req) && (input.partnerId !== getCurrentPartner().partnerId ||
+    (Array.isArray(input.permissions) && input.permissions.includes('partners')))) {
+    return res.status(403).json(createErrorResponse(403, 'API key does not have the partners permission'));
   }
 
-  // Check if sender exists and has sufficient balance
-  const senderStatus = mockData.customers[customerPhoneNumber];
-  if (!senderStatus || senderStatus.status < 3) {
-    return res.status(400).json(createErrorResponse(400, 'Sender not found or not activated'));
+  if (apiKeys.has(input.key)) {
+    return res.status(409).json(createErrorResponse(409, `API key already exists: ${input.key}`));
   }
 
-  const senderBalance = mockData.balances[customerPhoneNumber] || 0;
-  if (senderBalance < amount) {
-    return res.status(400).json(createErrorResponse(400, 'Insufficient balance'));
+  const { error, apiKey } = createApiKey(input);
+  if (error) {
+    return res.status(400).json(createErrorResponse(400, error));
   }
 
-  // Update balances
-  mockData.balances[customerPhoneNumber] = senderBalance - amount;
-  const recipientBalance = mockData.balances[recipientPhoneNumber] || 0;
-  mockData.balances[recipientPhoneNumber] = recipientBalance + amount;
+  apiKeys.set(apiKey.key, apiKey);
+  res.status(201).json(createResponse(apiKey, req));
+});
 
-  // Mock transfer response
-  const transferResponse = {
-    operationType: 3,
-    amount,
-    feesAmount: 0,
-    totalAmount: amount,
-    reason: reason || '',
-    recipientPhoneNumber,
-    checkedAt: new Date().toISOString()
-  };
+// Reset API Keys - DELETE /__admin/api-keys
+// Restores the built-in (or CHARI_STUB_API_KEYS_FILE) keys of every partner, so it needs the partners permission; partner stores are kept
+app.delete('/__admin/api-keys', (req, res) => {
+  console.log(`[CHARI-STUB] [ADMIN] Reset API keys`);
+
+  if (!canManagePartners(req)) {
+    return res.status(403).json(createErrorResponse(403, 'API key does not have the partners permission'));
+  }
+
+  loadApiKeys();
+  const collection = [...apiKeys.values()];
+  res.json(createResponse({ collection, count: collection.length }, req));
+});
+
+// Revoke API Key - DELETE /__admin/api-keys/:key
+app.delete('/__admin/api-keys/:key', (req, res) => {
+  console.log(`[CHARI-STUB] [ADMIN] Revoke API key: ${req.params.key}`);
+
+  if (!getVisibleApiKeys(req).some(apiKey => apiKey.key === req.params.key)) {
+    return res.status(404).json(createErrorResponse(404, `API key not found: ${req.params.key}`));
+  }
 
-  res.json(createResponse(transferResponse, req));
+  apiKeys.delete(req.params.key);
+
+  res.json(createResponse(true, req));
 });
 
-// Get Operations - GET /operations (Chari API format - nested collection)
-app.get('/operations', (req, res) => {
-  const { phoneNumber, operationType, transactionStatus, pageSize = 10, pageNumber = 1 } = req.query;
+// List Partners - GET /__admin/partners
+// Every partner with an API key or a store, with the size of its store - only the caller's partner without the partners permission
+app.get('/__admin/partners', (req, res) => {
+  const { partnerId: callerPartnerId } = getCurrentPartner();
+  const partners = new Map([...partnerStores.keys()].map(partnerId => [partnerId, { partnerId, partner: null, apiKeys: 0 }]));
+
+  apiKeys.forEach(({ partnerId, partner }) => {
+    const entry = partners.get(partnerId) || { partnerId, partner, apiKeys: 0 };
+    entry.partner = entry.partner || partner;
+    entry.apiKeys += 1;
+    partners.set(partnerId, entry);
+  });
 
-  console.log(`[CHARI-STUB] [/operations] Get operations for: ${phoneNumber}, pageSize: ${pageSize}, pageNumber: ${pageNumber}`);
+  const collection = [...partners.values()]
+    .filter(entry => canManagePartners(req) || entry.partnerId === callerPartnerId)
+    .sort((a, b) => a.partnerId - b.partnerId)
+    .map(entry => {
+      const store = partnerStores.get(entry.partnerId);
+      return {
+        ...entry,
+        partner: entry.partner || (entry.partnerId === DEFAULT_PARTNER.partnerId ? DEFAULT_PARTNER.partner : null),
+        customers: store ? Object.keys(store.customers).length : 0,
+        cashRequests: store ? Object.keys(store.cashRequests).length : 0
+      };
+    });
 
-  if (!phoneNumber) {
-    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
-  }
+  res.json(createResponse({ collection, count: collection.length }, req));
+});
 
-  // Get transactions for this customer
-  let transactions = mockData.transactions[phoneNumber] || [];
+// List Snapshots - GET /__admin/snapshots
+app.get('/__admin/snapshots', (req, res) => {
+  const snapshots = listSnapshots().map(({ name, createdAt }) => ({ name, createdAt }));
+  res.json(createResponse({ collection: snapshots, count: snapshots.length }, req));
+});
 
-  // Apply filters if provided
-  if (operationType) {
-    const opTypes = Array.isArray(operationType) ? operationType : [operationType];
-    transactions = transactions.filter(t => opTypes.includes(t.type.toString()));
-  }
+// Save Snapshot - POST /__admin/snapshots/:name
+app.post('/__admin/snapshots/:name', (req, res) => {
+  const { name } = req.params;
 
-  if (transactionStatus) {
-    const statusStr = transactionStatus.toString().toUpperCase();
-    transactions = transactions.filter(t => t.status.toString().toUpperCase() === statusStr);
+  console.log(`[CHARI-STUB] [ADMIN] Save snapshot: ${name}`);
+
+  if (!isValidSnapshotName(name)) {
+    return res.status(400).json(createErrorResponse(400, 'Snapshot name may only contain letters, digits, "_", "-" and "."'));
   }
 
-  const pageSizeInt = parseInt(pageSize);
-  const pageNumberInt = parseInt(pageNumber);
-  const totalRecords = transactions.length;
-  const totalPages = Math.ceil(totalRecords / pageSizeInt);
+  const { createdAt } = saveSnapshot(name);
+  res.json(createResponse({ name, createdAt }, req));
+});
 
-  // Apply pagination
-  const startIndex = (pageNumberInt - 1) * pageSizeInt;
-  const endIndex = startIndex + pageSizeInt;
-  const paginatedTransactions = transactions.slice(startIndex, endIndex);
+// Restore Snapshot - POST /__admin/snapshots/:name/restore
+app.post('/__admin/snapshots/:name/restore', (req, res) => {
+  const { name } = req.params;
 
-  // Convert to expected format using helper function
-  const operations = paginatedTransactions.map((tx, index) =>
-    transactionToOperation(tx, phoneNumber, startIndex + index + 1)
-  );
+  console.log(`[CHARI-STUB] [ADMIN] Restore snapshot: ${name}`);
 
-  // Return Chari API format (nested collection)
-  const response = {
-    collection: operations,
-    count: operations.length,
-    total: totalRecords,
-    pageNumber: pageNumberInt,
-    pageSize: pageSizeInt,
-    totalPages: totalPages,
-    hasMore: endIndex < totalRecords,
-    hasPrevious: pageNumberInt > 1
-  };
+  const snapshot = isValidSnapshotName(name) ? loadSnapshot(name) : null;
+  if (!snapshot) {
+    return res.status(404).json(createErrorResponse(404, `Snapshot not found: ${name}`));
+  }
 
-  console.log(`[CHARI-STUB] [/operations] Returning ${operations.length} of ${totalRecords} operations (page ${pageNumberInt}/${totalPages})`);
-  res.json(createResponse(response, req));
+  replaceMockData(JSON.parse(JSON.stringify(snapshot.data)));
+  res.json(createResponse({ name, createdAt: snapshot.createdAt }, req));
 });
 
-// Get Operations - GET /customers/operations (Aslan API format - flat array)
-app.get('/customers/operations', (req, res) => {
-  const { phoneNumber, operationType, transactionStatus, pageSize = 10, pageNumber = 1, limit, offset } = req.query;
+// Delete Snapshot - DELETE /__admin/snapshots/:name
+app.delete('/__admin/snapshots/:name', (req, res) => {
+  const { name } = req.params;
 
-  console.log(`[CHARI-STUB] [/customers/operations] Get operations for: ${phoneNumber}, pageSize: ${pageSize}, pageNumber: ${pageNumber}, limit: ${limit}, offset: ${offset}`);
+  console.log(`[CHARI-STUB] [ADMIN] Delete snapshot: ${name}`);
 
-  if (!phoneNumber) {
-    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+  if (!isValidSnapshotName(name) || !deleteSnapshot(name)) {
+    return res.status(404).json(createErrorResponse(404, `Snapshot not found: ${name}`));
   }
 
-  // Get transactions for this customer
-  let transactions = mockData.transactions[phoneNumber] || [];
+  res.json(createResponse(true, req));
+});
+
+// Get Proxy Config - GET /__admin/proxy
+app.get('/__admin/proxy', (req, res) => {
+  res.json(createResponse({ ...proxyConfig, modes: PROXY_MODES, recordings: recordings.length }, req));
+});
+
+// Update Proxy Config - PUT /__admin/proxy
+// Body: { mode, upstreamUrl, recordingsFile, timeoutMs, fallthrough } - omitted fields are left untouched
+// Changing the recordings file reloads the recordings from it
+app.put('/__admin/proxy', (req, res) => {
+  console.log(`[CHARI-STUB] [ADMIN] Update proxy config:`, req.body);
 
-  // Apply filters if provided
-  if (operationType) {
-    const opTypes = Array.isArray(operationType) ? operationType : [operationType];
-    transactions = transactions.filter(t => opTypes.includes(t.type.toString()));
+  const { mode, upstreamUrl, recordingsFile, timeoutMs, fallthrough } = req.body || {};
+
+  if (mode !== undefined && !PROXY_MODES.includes(mode)) {
+    return res.status(400).json(createErrorResponse(400, `mode must be one of: ${PROXY_MODES.join(', ')}`));
+  }
+  if (upstreamUrl !== undefined && upstreamUrl !== null && (typeof upstreamUrl !== 'string' || !URL.canParse(upstreamUrl))) {
+    return res.status(400).json(createErrorResponse(400, 'upstreamUrl must be an absolute URL'));
+  }
+  if (recordingsFile !== undefined && (typeof recordingsFile !== 'string' || !recordingsFile)) {
+    return res.status(400).json(createErrorResponse(400, 'recordingsFile must be a file path'));
+  }
+  if (timeoutMs !== undefined && (!Number.isInteger(timeoutMs) || timeoutMs < 1)) {
+    return res.status(400).json(createErrorResponse(400, 'timeoutMs must be an integer >= 1'));
+  }
+  if (fallthrough !== undefined && typeof fallthrough !== 'boolean') {
+    return res.status(400).json(createErrorResponse(400, 'fallthrough must be a boolean'));
   }
 
-  if (transactionStatus) {
-    const statusStr = transactionStatus.toString().toUpperCase();
-    transactions = transactions.filter(t => t.status.toString().toUpperCase() === statusStr);
+  const nextUpstreamUrl = upstreamUrl === undefined ? proxyConfig.upstreamUrl : upstreamUrl;
+  if ((mode || proxyConfig.mode) === 'record' && !nextUpstreamUrl) {
+    return res.status(400).json(createErrorResponse(400, 'Record mode requires an upstreamUrl'));
   }
 
-  // Support both limit/offset and pageSize/pageNumber pagination
-  let startIndex, endIndex, limitInt;
+  Object.assign(proxyConfig, {
+    mode: mode || proxyConfig.mode,
+    upstreamUrl: nextUpstreamUrl,
+    timeoutMs: timeoutMs || proxyConfig.timeoutMs,
+    fallthrough: fallthrough === undefined ? proxyConfig.fallthrough : fallthrough
+  });
 
-  if (limit !== undefined || offset !== undefined) {
-    // Use limit/offset pagination
-    limitInt = parseInt(limit) || 10;
-    startIndex = parseInt(offset) || 0;
-    endIndex = startIndex + limitInt;
-  } else {
-    // Use pageSize/pageNumber pagination
-    const pageSizeInt = parseInt(pageSize) || 10;
-    const pageNumberInt = parseInt(pageNumber) || 1;
-    limitInt = pageSizeInt;
-    startIndex = (pageNumberInt - 1) * pageSizeInt;
-    endIndex = startIndex + pageSizeInt;
+  if (recordingsFile && recordingsFile !== proxyConfig.recordingsFile) {
+    proxyConfig.recordingsFile = recordingsFile;
+    loadRecordings();
   }
 
-  const totalRecords = transactions.length;
-  const paginatedTransactions = transactions.slice(startIndex, endIndex);
+  res.json(createResponse({ ...proxyConfig, modes: PROXY_MODES, recordings: recordings.length }, req));
+});
 
-  // Convert to expected format using helper function
-  const operations = paginatedTransactions.map((tx, index) =>
-    transactionToOperation(tx, phoneNumber, startIndex + index + 1)
+// List Recordings - GET /__admin/recordings
+// Query: method, path - optional filters
+app.get('/__admin/recordings', (req, res) => {
+  const { method, path: requestPath } = req.query;
+
+  const collection = recordings.filter(recording =>
+    (!method || recording.request.method === method.toUpperCase()) &&
+    (!requestPath || recording.request.path === requestPath)
   );
 
-  const requestId = req.headers['c-request-id'] || generateUUID();
+  res.json(createResponse({ collection, count: collection.length, recordingsFile: proxyConfig.recordingsFile }, req));
+});
 
-  // Return Aslan API format (flat array)
-  const response = {
-    data: operations,
-    total: totalRecords,
-    limit: limitInt,
-    offset: startIndex,
-    hasMore: endIndex < totalRecords,
-    cRequestId: requestId
-  };
+// Reload Recordings - POST /__admin/recordings/reload
+// Also rewinds replay so every recording sequence starts from its first response again
+app.post('/__admin/recordings/reload', (req, res) => {
+  console.log(`[CHARI-STUB] [ADMIN] Reload recordings from ${proxyConfig.recordingsFile}`);
 
-  console.log(`[CHARI-STUB] [/customers/operations] Returning ${operations.length} of ${totalRecords} operations (offset ${startIndex}, limit ${limitInt})`);
-  res.json(response);
+  loadRecordings();
+  res.json(createResponse({ recordingsFile: proxyConfig.recordingsFile, count: recordings.length }, req));
 });
 
-// Get Single Operation - GET /operations/:operationId
-app.get('/operations/:operationId', (req, res) => {
-  const { phoneNumber } = req.query;
-  const { operationId } = req.params;
+// Clear Recordings - DELETE /__admin/recordings
+// Empties the recordings file too, so a new record session starts from scratch
+app.delete('/__admin/recordings', (req, res) => {
+  console.log(`[CHARI-STUB] [ADMIN] Clear recordings in ${proxyConfig.recordingsFile}`);
 
-  console.log(`[CHARI-STUB] Get operation ${operationId} for: ${phoneNumber}`);
+  recordings.length = 0;
+  replayCursors.clear();
+  if (fs.existsSync(proxyConfig.recordingsFile)) {
+    fs.writeFileSync(proxyConfig.recordingsFile, '');
+  }
 
-  if (!phoneNumber) {
-    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+  res.json(createResponse(true, req));
+});
+
+// List Journaled Requests - GET /__admin/requests
+// Query: method, path, pathPattern, phoneNumber, status, since, until - optional filters, newest first
+app.get('/__admin/requests', (req, res) => {
+  const { method, path: requestPath, pathPattern, phoneNumber, status, since, until } = req.query;
+  const criteria = { method, path: requestPath, pathPattern, phoneNumber, status, since, until };
+
+  const error = validateJournalCriteria(criteria);
+  if (error) {
+    return res.status(400).json(createErrorResponse(400, error));
   }
 
-  const transactions = mockData.transactions[phoneNumber] || [];
+  const entries = requestJournal
+    .filter(entry => isJournalEntryVisible(entry, req) && matchesJournalCriteria(entry, criteria))
+    .reverse();
+  res.json(createResponse({ collection: entries, count: entries.length }, req));
+});
 
-  // operationId can map to transactionId or be sequential
-  // Try to find by transaction ID first
-  const opIdInt = parseInt(operationId);
-  let transaction = transactions.find(tx => {
-    const txId = parseInt(tx.id.replace('TXN_', ''));
-    return txId === opIdInt;
-  });
+// Count Journaled Requests - POST /__admin/requests/count
+// Body: the GET filters plus headers, query and body, each matched as a subset of the request
+app.post('/__admin/requests/count', (req, res) => {
+  const criteria = req.body || {};
 
-  // If not found by transaction ID, try by sequential index (1-based)
-  if (!transaction && opIdInt > 0 && opIdInt <= transactions.length) {
-    transaction = transactions[opIdInt - 1];
+  const error = validateJournalCriteria(criteria);
+  if (error) {
+    return res.status(400).json(createErrorResponse(400, error));
   }
 
-  if (!transaction) {
-    return res.status(404).json(createErrorResponse(404, 'Operation not found'));
+  const count = requestJournal
+    .filter(entry => isJournalEntryVisible(entry, req) && matchesJournalCriteria(entry, criteria))
+    .length;
+  res.json(createResponse({ count }, req));
+});
+
+// Get Journaled Request - GET /__admin/requests/:id
+app.get('/__admin/requests/:id', (req, res) => {
+  const entry = requestJournal.find(item => item.id === req.params.id);
+  if (!entry || !isJournalEntryVisible(entry, req)) {
+    return res.status(404).json(createErrorResponse(404, `Request not found: ${req.params.id}`));
   }
 
-  // Convert to operation format
-  const operation = transactionToOperation(transaction, phoneNumber, opIdInt);
+  res.json(createResponse(entry, req));
+});
 
-  console.log(`[CHARI-STUB] Found operation: ${operation.transactionId}`);
-  res.json(createResponse(operation, req));
+// Clear Request Journal - DELETE /__admin/requests
+// Removes every entry visible to the caller's partner
+app.delete('/__admin/requests', (req, res) => {
+  console.log(`[CHARI-STUB] [ADMIN] Clear request journal`);
+
+  requestJournal.splice(0, requestJournal.length, ...requestJournal.filter(entry => !isJournalEntryVisible(entry, req)));
+  res.json(createResponse(true, req));
 });
 
-// Beneficiary Management
+// List Fault Rules - GET /__admin/faults
+// Fault rules, like every admin setting, only apply to the caller's partner
+app.get('/__admin/faults', (req, res) => {
+  const collection = getPartnerSetting('faultRules').map(rule => ({ ...rule, active: isFaultRuleActive(rule) }));
+  res.json(createResponse({ collection, count: collection.length, faults: FAULT_TYPES }, req));
+});
 
-// Get Beneficiaries - GET /customer/beneficiaries
-app.get('/customer/beneficiaries', (req, res) => {
-  const { phoneNumber, pageSize = 10, pageNumber = 1 } = req.query;
+// Add Fault Rules - POST /__admin/faults
+// Body: one rule or an array of rules, appended after the existing ones
+app.post('/__admin/faults', (req, res) => {
+  console.log(`[CHARI-STUB] [ADMIN] Add fault rules:`, req.body);
 
-  console.log(`[CHARI-STUB] Get beneficiaries for: ${phoneNumber}`);
+  const inputs = Array.isArray(req.body) ? req.body : [req.body];
+  const results = inputs.map(createFaultRule);
 
-  if (!phoneNumber) {
-    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+  const invalidIndex = results.findIndex(({ error }) => error);
+  if (invalidIndex !== -1) {
+    const prefix = Array.isArray(req.body) ? `Rule ${invalidIndex}: ` : '';
+    return res.status(400).json(createErrorResponse(400, `${prefix}${results[invalidIndex].error}`));
   }
 
-  // Mock beneficiaries data
-  const mockBeneficiaries = [
-    {
-      id: 1,
-      customerId: 1,
-      name: 'Ahmed Benali',
-      phoneNumber: '+212611111111',
-      createdAt: '2025-01-15T10:30:00Z',
-      isVisible: true,
-      rib: null,
-      email: 'ahmed@example.com'
-    },
-    {
-      id: 2,
-      customerId: 1,
-      name: 'Fatima Zahra',
-      phoneNumber: null,
-      createdAt: '2025-01-20T14:15:00Z',
-      isVisible: true,
-      rib: '827640000010000000001234',
-      email: null
-    }
-  ];
+  const rules = results.map(({ rule }) => rule);
+  getPartnerSetting('faultRules').push(...rules);
 
-  const startIndex = (parseInt(pageNumber) - 1) * parseInt(pageSize);
-  const endIndex = startIndex + parseInt(pageSize);
-  const paginatedBeneficiaries = mockBeneficiaries.slice(startIndex, endIndex);
+  res.status(201).json(createResponse(Array.isArray(req.body) ? rules : rules[0], req));
+});
 
-  const response = {
-    collection: paginatedBeneficiaries,
-    count: mockBeneficiaries.length
-  };
+// Reset Fault Rules - DELETE /__admin/faults
+// Removes every rule added at runtime and restores the CHARI_STUB_FAULTS_FILE rules with fresh counters
+app.delete('/__admin/faults', (req, res) => {
+  console.log(`[CHARI-STUB] [ADMIN] Reset fault rules`);
 
-  res.json(createResponse(response, req));
+  const faultRules = loadFaultRules();
+  setPartnerSetting('faultRules', faultRules);
+  res.json(createResponse({ collection: faultRules, count: faultRules.length }, req));
 });
 
-// Add Beneficiary - POST /customer/beneficiaries
-app.post('/customer/beneficiaries', (req, res) => {
-  const { phoneNumber } = req.query;
-  const { name, phoneNumber: beneficiaryPhone, rib, email } = req.body;
+// Get Fault Rule - GET /__admin/faults/:id
+app.get('/__admin/faults/:id', (req, res) => {
+  const rule = getPartnerSetting('faultRules').find(item => item.id === req.params.id);
+  if (!rule) {
+    return res.status(404).json(createErrorResponse(404, `Fault rule not found: ${req.params.id}`));
+  }
 
-  console.log(`[CHARI-STUB] Add beneficiary for: ${phoneNumber}`);
+  res.json(createResponse({ ...rule, active: isFaultRuleActive(rule) }, req));
+});
 
-  if (!phoneNumber || !name) {
-    return res.status(400).json(createErrorResponse(400, 'Phone number and name are required'));
-  }
+// Remove Fault Rule - DELETE /__admin/faults/:id
+app.delete('/__admin/faults/:id', (req, res) => {
+  console.log(`[CHARI-STUB] [ADMIN] Remove fault rule: ${req.params.id}`);
 
-  if (!beneficiaryPhone && !rib) {
-    return res.status(400).json(createErrorResponse(400, 'Either phone number or RIB must be provided'));
+  const faultRules = getPartnerSetting('faultRules');
+  const index = faultRules.findIndex(item => item.id === req.params.id);
+  if (index === -1) {
+    return res.status(404).json(createErrorResponse(404, `Fault rule not found: ${req.params.id}`));
   }
 
-  // Mock beneficiary creation
-  const newBeneficiary = {
-    id: Math.floor(Math.random() * 1000),
-    customerId: 1,
-    name,
-    phoneNumber: beneficiaryPhone || null,
-    createdAt: new Date().toISOString(),
-    isVisible: true,
-    rib: rib || null,
-    email: email || null
-  };
+  faultRules.splice(index, 1);
+  res.json(createResponse(true, req));
+});
 
-  res.json(createResponse(newBeneficiary, req));
+// List Cash Requests - GET /__admin/cash-requests
+app.get('/__admin/cash-requests', (req, res) => {
+  const cashRequests = Object.values(mockData.cashRequests).map(expireStaleCashRequest);
+  res.json(createResponse({ collection: cashRequests, count: cashRequests.length }, req));
 });
 
-// Update Beneficiary - PUT /customer/beneficiaries/{id}
-app.put('/customer/beneficiaries/:id', (req, res) => {
-  const { phoneNumber } = req.query;
-  const { id } = req.params;
-  const { name, phoneNumber: beneficiaryPhone, rib, email } = req.body;
+// List Card Sessions - GET /__admin/card-sessions
+app.get('/__admin/card-sessions', (req, res) => {
+  const cardSessions = Object.values(mockData.cardSessions).map(expireStaleCardSession).map(toCardSessionResponse);
+  res.json(createResponse({ collection: cardSessions, count: cardSessions.length }, req));
+});
 
-  console.log(`[CHARI-STUB] Update beneficiary ${id} for: ${phoneNumber}`);
+// List Bill Contracts - GET /__admin/bills
+app.get('/__admin/bills', (req, res) => {
+  const bills = Object.values(mockData.bills);
+  res.json(createResponse({ collection: bills, count: bills.length }, req));
+});
 
-  if (!phoneNumber || !name) {
-    return res.status(400).json(createErrorResponse(400, 'Phone number and name are required'));
+// Create or Replace a Bill Contract - PUT /__admin/bills/:billerId/:reference
+// Body: { customerName, invoices: [{ invoiceId, amount, period, description, dueDate, status }] } - status defaults to UNPAID
+app.put('/__admin/bills/:billerId/:reference', (req, res) => {
+  const { billerId, reference } = req.params;
+  const { customerName, invoices } = req.body || {};
+
+  console.log(`[CHARI-STUB] [ADMIN] Set bill contract ${billerId}:${reference}`);
+
+  const biller = BILLERS.find(b => b.billerId === billerId);
+  if (!biller) {
+    return res.status(404).json(createErrorResponse(404, `Unknown biller: ${billerId}`));
+  }
+  if (!new RegExp(biller.referenceFormat).test(reference)) {
+    return res.status(400).json(createErrorResponse(400, `Reference must match ${biller.referenceFormat}`));
+  }
+  if (!Array.isArray(invoices)) {
+    return res.status(400).json(createErrorResponse(400, 'invoices must be an array'));
+  }
+  const invalid = invoices.find(invoice => !invoice || !invoice.invoiceId || typeof invoice.amount !== 'number' || invoice.amount <= 0 ||
+    (invoice.status !== undefined && !['UNPAID', 'PAID'].includes(invoice.status)));
+  if (invalid) {
+    return res.status(400).json(createErrorResponse(400, 'Each invoice requires an invoiceId and a positive amount, and a status of UNPAID or PAID'));
   }
 
-  // Mock beneficiary update
-  const updatedBeneficiary = {
-    BeneficiaryId: parseInt(id),
-    userId: 1,
-    name,
-    phoneNumber: beneficiaryPhone || null,
-    createdAt: '2025-01-15T10:30:00Z',
-    isVisible: true,
-    rib: rib || null,
-    email: email || null
+  const contract = {
+    billerId,
+    reference,
+    customerName: customerName || null,
+    invoices: invoices.map(invoice => ({
+      invoiceId: invoice.invoiceId,
+      period: invoice.period || null,
+      description: invoice.description || `${biller.name} invoice ${invoice.invoiceId}`,
+      amount: parseFloat(invoice.amount.toFixed(2)),
+      dueDate: invoice.dueDate || null,
+      status: invoice.status || 'UNPAID',
+      paidAt: invoice.paidAt || null,
+      transactionReference: invoice.transactionReference || null
+    }))
   };
+  mockData.bills[`${billerId}:${reference}`] = contract;
 
-  res.json(createResponse(updatedBeneficiary, req));
+  res.json(createResponse(contract, req));
 });
 
-// Delete Beneficiary - DELETE /customer/beneficiaries/{id}
-app.delete('/customer/beneficiaries/:id', (req, res) => {
-  const { phoneNumber } = req.query;
-  const { id } = req.params;
+// Delete a Bill Contract - DELETE /__admin/bills/:billerId/:reference
+app.delete('/__admin/bills/:billerId/:reference', (req, res) => {
+  const key = `${req.params.billerId}:${req.params.reference}`;
 
-  console.log(`[CHARI-STUB] Delete beneficiary ${id} for: ${phoneNumber}`);
+  console.log(`[CHARI-STUB] [ADMIN] Delete bill contract ${key}`);
 
-  if (!phoneNumber) {
-    return res.status(400).json(createErrorResponse(400, 'Phone number is required'));
+  if (!mockData.bills[key]) {
+    return res.status(404).json(createErrorResponse(404, `Bill contract not found: ${key}`));
   }
-
-  // Mock beneficiary deletion
+  delete mockData.bills[key];
   res.json(createResponse(true, req));
 });
 
-// Request Operations
+// List Customer Fixtures - GET /__admin/customers
+app.get('/__admin/customers', (req, res) => {
+  const phoneNumbers = new Set(CUSTOMER_COLLECTIONS.flatMap(collection => Object.keys(mockData[collection])));
+  const customers = [...phoneNumbers].sort().map(getCustomerFixture);
 
-// Request CashIn - POST /operations/cashin/request
-app.post('/operations/cashin/request', (req, res) => {
-  const { PhoneNumber, amount } = req.body;
+  res.json(createResponse({ collection: customers, count: customers.length }, req));
+});
 
-  console.log(`[CHARI-STUB] CashIn request for: ${PhoneNumber}, amount: ${amount}`);
+// Get Customer Fixture - GET /__admin/customers/:phoneNumber
+app.get('/__admin/customers/:phoneNumber', (req, res) => {
+  const { phoneNumber } = req.params;
 
-  if (!PhoneNumber || !amount) {
-    return res.status(400).json(createErrorResponse(400, 'Phone number and amount are required'));
+  if (!CUSTOMER_COLLECTIONS.some(collection => phoneNumber in mockData[collection])) {
+    return res.status(404).json(createErrorResponse(404, 'Customer not found'));
   }
 
-  // Mock cashin request
-  const reference = `OR01-${new Date().getFullYear()}${String(new Date().getMonth() + 1).padStart(2, '0')}${String(new Date().getDate()).padStart(2, '0')}${String(new Date().getHours()).padStart(2, '0')}${String(Math.floor(Math.random() * 1000000)).padStart(6, '0')}`;
+  res.json(createResponse(getCustomerFixture(phoneNumber), req));
+});
 
-  const cashInRequest = {
-    createdAt: new Date().toISOString(),
-    closedAt: null,
-    reference,
-    phoneNumber: PhoneNumber,
-    accountId: 1,
-    operationType: 1,
-    operationStatus: 1,
-    partnerId: 1,
-    amount,
-    description: 'CashIn request'
-  };
+// Create/Update Customer Fixture - PUT /__admin/customers/:phoneNumber
+// Body: { status, message, registration, pin, balance, transactions, beneficiaries } - omitted parts are left untouched
+app.put('/__admin/customers/:phoneNumber', (req, res) => {
+  const { phoneNumber } = req.params;
+  const { status, message, registration, pin, balance, transactions, beneficiaries } = req.body || {};
+
+  console.log(`[CHARI-STUB] [ADMIN] Upsert customer fixture: ${phoneNumber}`);
+
+  const parts = [
+    ['customers', status !== undefined ? { status, message } : undefined],
+    ['registrations', registration],
+    ['pins', pin],
+    ['balances', balance],
+    ['transactions', transactions],
+    ['beneficiaries', beneficiaries]
+  ].filter(([, value]) => value !== undefined);
+
+  if (parts.length === 0) {
+    return res.status(400).json(createErrorResponse(400, 'Nothing to update'));
+  }
 
-  res.json(createResponse(cashInRequest, req));
-});
+  const updates = [];
+  for (const [collection, value] of parts) {
+    const { value: normalized, error } = normalizeCollectionEntry(collection, value, phoneNumber);
+    if (error) {
+      return res.status(400).json(createErrorResponse(400, error));
+    }
+    updates.push([collection, phoneNumber, normalized]);
+  }
 
-// Request CashOut - POST /operations/cashout/request
-app.post('/operations/cashout/request', (req, res) => {
-  const { PhoneNumber, amount } = req.body;
+  applyCollectionEntries(updates);
 
-  console.log(`[CHARI-STUB] CashOut request for: ${PhoneNumber}, amount: ${amount}`);
+  res.json(createResponse(getCustomerFixture(phoneNumber), req));
+});
 
-  if (!PhoneNumber || !amount) {
-    return res.status(400).json(createErrorResponse(400, 'Phone number and amount are required'));
-  }
+// Delete Customer Fixture - DELETE /__admin/customers/:phoneNumber
+app.delete('/__admin/customers/:phoneNumber', (req, res) => {
+  const { phoneNumber } = req.params;
 
-  // Mock cashout request
-  const reference = `OR02-${new Date().getFullYear()}${String(new Date().getMonth() + 1).padStart(2, '0')}${String(new Date().getDate()).padStart(2, '0')}${String(new Date().getHours()).padStart(2, '0')}${String(Math.floor(Math.random() * 1000000)).padStart(6, '0')}`;
+  console.log(`[CHARI-STUB] [ADMIN] Delete customer fixture: ${phoneNumber}`);
 
-  const cashOutRequest = {
-    createdAt: new Date().toISOString(),
-    closedAt: null,
-    reference,
-    phoneNumber: PhoneNumber,
-    accountId: 1,
-    operationType: 2,
-    operationStatus: 1,
-    partnerId: 1,
-    amount,
-    description: 'CashOut request'
-  };
+  CUSTOMER_COLLECTIONS.forEach(collection => {
+    delete mockData[collection][phoneNumber];
+  });
 
-  res.json(createResponse(cashOutRequest, req));
+  res.json(createResponse(true, req));
 });
 
-// Get CashIn By Reference - GET /operations/cashin/request
-app.get('/operations/cashin/request', (req, res) => {
-  const { reference } = req.query;
+// Get Collection - GET /__admin/:collection
+app.get('/__admin/:collection', validateCollection, (req, res) => {
+  res.json(createResponse(mockData[req.params.collection], req));
+});
 
-  console.log(`[CHARI-STUB] Get CashIn by reference: ${reference}`);
+// Clear Collection - DELETE /__admin/:collection
+app.delete('/__admin/:collection', validateCollection, (req, res) => {
+  const { collection } = req.params;
 
-  if (!reference) {
-    return res.status(400).json(createErrorResponse(400, 'Reference is required'));
-  }
+  console.log(`[CHARI-STUB] [ADMIN] Clear collection: ${collection}`);
 
-  // Mock cashin operation
-  const operation = {
-    reference,
-    entity: null,
-    createdAt: '2025-06-03T09:37:26.881973',
-    executedAt: null,
-    phoneNumber: '+212600000004',
-    amount: 1000.0,
-    description: null,
-    partner: 'ChariMoney',
-    status: 1,
-    type: 1
-  };
+  mockData[collection] = {};
+  res.json(createResponse(true, req));
+});
 
-  res.json(createResponse(operation, req));
+// Get Collection Entry - GET /__admin/:collection/:phoneNumber
+app.get('/__admin/:collection/:phoneNumber', validateCollection, (req, res) => {
+  const { collection, phoneNumber } = req.params;
+
+  if (!(phoneNumber in mockData[collection])) {
+    return res.status(404).json(createErrorResponse(404, `No ${collection} entry for ${phoneNumber}`));
+  }
+
+  res.json(createResponse(mockData[collection][phoneNumber], req));
 });
 
-// Get CashOut By Reference - GET /operations/cashout/request
-app.get('/operations/cashout/request', (req, res) => {
-  const { reference } = req.query;
+// Set Collection Entry - PUT /__admin/:collection/:phoneNumber
+app.put('/__admin/:collection/:phoneNumber', validateCollection, (req, res) => {
+  const { collection, phoneNumber } = req.params;
 
-  console.log(`[CHARI-STUB] Get CashOut by reference: ${reference}`);
+  console.log(`[CHARI-STUB] [ADMIN] Set ${collection} entry for: ${phoneNumber}`);
 
-  if (!reference) {
-    return res.status(400).json(createErrorResponse(400, 'Reference is required'));
+  const { value, error } = normalizeCollectionEntry(collection, req.body, phoneNumber);
+  if (error) {
+    return res.status(400).json(createErrorResponse(400, error));
   }
 
-  // Mock cashout operation
-  const operation = {
-    reference,
-    entity: null,
-    createdAt: '2025-06-03T09:37:26.881973',
-    executedAt: null,
-    phoneNumber: '+212600000004',
-    amount: 500.0,
-    description: null,
-    partner: 'ChariMoney',
-    status: 1,
-    type: 2
-  };
+  applyCollectionEntries([[collection, phoneNumber, value]]);
+  res.json(createResponse(value, req));
+});
 
-  res.json(createResponse(operation, req));
+// Delete Collection Entry - DELETE /__admin/:collection/:phoneNumber
+app.delete('/__admin/:collection/:phoneNumber', validateCollection, (req, res) => {
+  const { collection, phoneNumber } = req.params;
+
+  console.log(`[CHARI-STUB] [ADMIN] Delete ${collection} entry for: ${phoneNumber}`);
+
+  if (!(phoneNumber in mockData[collection])) {
+    return res.status(404).json(createErrorResponse(404, `No ${collection} entry for ${phoneNumber}`));
+  }
+
+  delete mockData[collection][phoneNumber];
+  res.json(createResponse(true, req));
 });
 
 // Catch-all for unimplemented endpoints
@@ -1136,6 +6501,9 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
   console.log(`[CHARI-STUB] Server running on port ${PORT}`);
   console.log(`[CHARI-STUB] Health check: http://localhost:${PORT}/health`);
+  if (DATA_FILE) {
+    console.log(`[CHARI-STUB] Persisting store to: ${DATA_FILE}`);
+  }
   console.log(`[CHARI-STUB] Mock customers available:`);
   Object.entries(mockData.customers).forEach(([phone, status]) => {
     console.log(`  ${phone}: ${JSON.stringify(status)}`);